@@ -9,8 +9,41 @@
  */
 
 import 'dotenv/config';
-import { Client } from '@notionhq/client';
+import crypto from 'crypto';
 import http from 'http';
+import { createNotionAccess } from './lib/notionClient.js';
+import { openCommandLedger } from './lib/commandLedger.js';
+import { openChangeTracker } from './lib/changeTracker.js';
+import { openCommandStore } from './lib/commandStore.js';
+import {
+  NOTION_SOURCE,
+  sourceNameOf,
+  createSourceRegistry,
+  createStoreSource,
+  parseSubmission,
+} from './lib/commandSources.js';
+import { createQueueSource } from './lib/queueSource.js';
+import { NOTION_SIGNATURE_HEADER, verifyNotionEvent, normalizeNotionId } from './lib/notionEvents.js';
+import { createRouter, loadRoutingConfig } from './lib/commandRouter.js';
+import {
+  resolveRetryPolicy,
+  isRetryableFailure,
+  getRetryDelay,
+  parseRetryAfter,
+  sleep,
+} from './lib/retryPolicy.js';
+import { richTextToPlain, toRichText, findJsonCodeBlock, propertyToPlain } from './lib/notionText.js';
+import { createEntityResolver } from './lib/resolveEntityPageId.js';
+import { parsePayload, loadSchemaRegistry } from './lib/payloadSchemas.js';
+import { openAuditTrail, hashPayload } from './lib/auditTrail.js';
+import { createRedactor } from './lib/redactPII.js';
+import { createMetricsRegistry } from './lib/metrics.js';
+import { createWorkerPool } from './lib/workerPool.js';
+import { nextCronRun } from './lib/cron.js';
+import { evaluateDependencies, describeDependencies } from './lib/dependencies.js';
+import { createApprovalPolicy, loadApprovalPolicy, checkApproval } from './lib/approvalPolicy.js';
+import { signWebhookRequest, verifyWebhookRequest, createNonceStore } from './lib/webhookSignature.js';
+import { keyringFromEnv, checkSigningKey, isTestMode } from './lib/keyring.js';
 
 // ============================================================
 // CONFIGURATION
@@ -21,16 +54,109 @@ const config = {
     apiKey: process.env.NOTION_API_KEY,
     commandsDbId: process.env.COMMANDS_DB_ID,
     entitiesDbId: process.env.ENTITIES_DB_ID,
+    auditsDbId: process.env.AUDITS_DB_ID,
+    requestsPerSecond: parseFloat(process.env.NOTION_REQUESTS_PER_SECOND || '3'),
+    // Verification token of a Notion webhook subscription; enables /notion/webhook events
+    webhookSecret: process.env.NOTION_WEBHOOK_SECRET,
   },
   n8n: {
     webhookUrl: process.env.N8N_WEBHOOK_URL,
+    routesFile: process.env.ROUTES_FILE,
+    timeoutMs: parseInt(process.env.N8N_TIMEOUT_MS || '30000', 10),
   },
+  callbacks: {
+    // Public origin n8n uses to reach /callbacks/:pageId
+    baseUrl: process.env.PUBLIC_BASE_URL ||
+      (process.env.RAILWAY_PUBLIC_DOMAIN && `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`),
+    awaitByDefault: process.env.AWAIT_CALLBACKS === 'true',
+    timeoutMs: parseInt(process.env.CALLBACK_TIMEOUT_MS || '1800000', 10),
+  },
+  entities: {
+    // Entities properties added to the webhook payload (with ENTITIES_DB_ID)
+    fields: (process.env.ENTITY_FIELDS || 'Jurisdiction,License Status')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    // How long Correlation ID lookups are cached; misses for a shorter time
+    cacheTtlMs: parseInt(process.env.ENTITY_CACHE_TTL_MS || '300000', 10),
+    negativeCacheTtlMs: parseInt(process.env.ENTITY_NEGATIVE_CACHE_TTL_MS || '60000', 10),
+  },
+  // Command names that need a second person's approval before dispatch
+  approvalPolicyPath: process.env.APPROVAL_POLICY,
+  // Command name -> JSON Schema for its payload
+  schemaRegistryPath: process.env.SCHEMA_REGISTRY || './schemas/registry.json',
+  // Key used to sign every outbound webhook request
+  signingKey: process.env.WEBHOOK_SIGNING_KEY || process.env.HMAC_KEY,
+  audit: {
+    logPath: process.env.AUDIT_LOG_PATH || './data/audit-log.jsonl',
+    // Keyring built from HMAC_KEY, HMAC_KEY_ID and HMAC_KEY_RETIRED below
+    keyring: null,
+    // Keys PII hashes in audit details; plain SHA-256 when unset
+    piiHashKey: process.env.PII_HASH_KEY,
+  },
+  // Default webhook retry policy; routes may override any field with `retry`
+  retry: {
+    maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+    baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS || '1000', 10),
+    maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS || '60000', 10),
+    jitter: parseFloat(process.env.RETRY_JITTER || '0.2'),
+    retryOnStatus: (process.env.RETRY_ON_STATUS || '408,425,429,500,502,503,504')
+      .split(',')
+      .map(code => parseInt(code.trim(), 10)),
+  },
+  ledger: {
+    path: process.env.LEDGER_PATH || './data/command-ledger.json',
+    maxEntries: parseInt(process.env.LEDGER_MAX_ENTRIES || '5000', 10),
+  },
+  recovery: {
+    // 'fail' marks interrupted commands Failed, 'resume' puts them back to Deploy
+    policy: process.env.RECOVERY_POLICY || 'fail',
+    maxAttempts: parseInt(process.env.RECOVERY_MAX_ATTEMPTS || '3', 10),
+  },
+  dependencies: {
+    // What happens to a command whose dependency failed: 'fail' or 'skip'
+    onUpstreamFailure: process.env.DEPENDENCY_FAILURE_POLICY || 'fail',
+  },
+  workers: {
+    // Commands dispatched at once; commands for the same Entity ID still run in order
+    concurrency: parseInt(process.env.WORKER_CONCURRENCY || '4', 10),
+    // Commands picked up beyond that, waiting for a worker or for their entity
+    maxQueued: parseInt(process.env.WORKER_QUEUE_LIMIT || process.env.WORKER_CONCURRENCY || '4', 10),
+  },
+  cancellation: {
+    // How often commands in flight or awaiting a callback are checked for Cancelled
+    checkIntervalMs: parseInt(process.env.CANCEL_CHECK_INTERVAL_MS || '5000', 10),
+  },
+  shutdown: {
+    // How long in-flight commands get to finish after SIGTERM before they are interrupted
+    drainTimeoutMs: parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '25000', 10),
+  },
+  // Bearer token for /admin; the admin API is disabled when unset
+  adminToken: process.env.ADMIN_TOKEN,
+  // Poll interval right after activity; it doubles while idle up to pollMaxInterval
   pollInterval: parseInt(process.env.POLL_INTERVAL || '5000', 10),
+  pollMaxInterval: parseInt(process.env.POLL_MAX_INTERVAL || '60000', 10),
+  // Idle ceiling instead of pollMaxInterval when Notion webhook events drive pickup
+  pollFallbackInterval: parseInt(process.env.POLL_FALLBACK_INTERVAL || '300000', 10),
+  watcher: {
+    // High-water mark and tracked pages, so a restart resumes incrementally
+    statePath: process.env.WATCHER_STATE_PATH || './data/watcher-state.json',
+    // Full re-query of the watched statuses, to catch anything the edit filter missed
+    fullSyncIntervalMs: parseInt(process.env.FULL_SYNC_INTERVAL_MS || '900000', 10),
+  },
+  sources: {
+    // Bearer token for POST /commands; HTTP intake is disabled when unset
+    intakeToken: process.env.INTAKE_TOKEN,
+    // Directory read for *.json / *.jsonl command files; the queue source is disabled when unset
+    queueDir: process.env.COMMAND_QUEUE_DIR,
+    // Commands from those two sources, with the status their submitters see
+    storePath: process.env.SUBMITTED_COMMANDS_PATH || './data/submitted-commands.json',
+  },
   port: parseInt(process.env.PORT || '3000', 10),
 };
 
 // Validate required environment variables
-const requiredEnvVars = ['NOTION_API_KEY', 'COMMANDS_DB_ID', 'N8N_WEBHOOK_URL'];
+const requiredEnvVars = ['NOTION_API_KEY', 'COMMANDS_DB_ID'];
 for (const envVar of requiredEnvVars) {
   if (!process.env[envVar]) {
     console.error(`[FATAL] Missing required environment variable: ${envVar}`);
@@ -38,14 +164,168 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
+if (!config.signingKey) {
+  console.error('[FATAL] Missing required environment variable: WEBHOOK_SIGNING_KEY (or HMAC_KEY)');
+  process.exit(1);
+}
+
+// Audit entries are signed with the active key; retired keys only verify older entries
+try {
+  config.audit.keyring = keyringFromEnv('HMAC_KEY', process.env, process.env.WEBHOOK_SIGNING_KEY);
+} catch (error) {
+  console.error(`[FATAL] Invalid audit signing keys: ${error.message}`);
+  process.exit(1);
+}
+
+// Placeholder or short keys are only acceptable in explicit test mode
+if (!isTestMode()) {
+  const keys = [
+    ['WEBHOOK_SIGNING_KEY', config.signingKey],
+    ['HMAC_KEY', config.audit.keyring.current.secret],
+  ];
+  for (const [name, secret] of keys) {
+    const problem = checkSigningKey(secret);
+    if (problem) {
+      console.error(`[FATAL] ${name} is not usable for signing: ${problem} (TEST_MODE=true allows it for local testing)`);
+      process.exit(1);
+    }
+  }
+}
+
+// A routing file can replace the single webhook URL
+if (!config.n8n.webhookUrl && !config.n8n.routesFile) {
+  console.error('[FATAL] Missing required environment variable: N8N_WEBHOOK_URL (or ROUTES_FILE)');
+  process.exit(1);
+}
+
+if (!(config.workers.concurrency >= 1) || !(config.workers.maxQueued >= 0)) {
+  console.error('[FATAL] WORKER_CONCURRENCY must be at least 1 and WORKER_QUEUE_LIMIT at least 0');
+  process.exit(1);
+}
+
+if (!(config.pollInterval > 0) || !(config.pollMaxInterval >= config.pollInterval) ||
+  !(config.pollFallbackInterval >= config.pollInterval)) {
+  console.error('[FATAL] POLL_INTERVAL must be positive, and POLL_MAX_INTERVAL and POLL_FALLBACK_INTERVAL at least POLL_INTERVAL');
+  process.exit(1);
+}
+
+if (!['fail', 'skip'].includes(config.dependencies.onUpstreamFailure)) {
+  console.error(
+    `[FATAL] Invalid DEPENDENCY_FAILURE_POLICY: ${config.dependencies.onUpstreamFailure} (expected 'fail' or 'skip')`
+  );
+  process.exit(1);
+}
+
+if (!['fail', 'resume'].includes(config.recovery.policy)) {
+  console.error(`[FATAL] Invalid RECOVERY_POLICY: ${config.recovery.policy} (expected 'fail' or 'resume')`);
+  process.exit(1);
+}
+
+// ============================================================
+// METRICS
+// ============================================================
+
+const metricsRegistry = createMetricsRegistry();
+let lastSuccessfulPollAt = null;
+
+const metrics = {
+  pollDuration: metricsRegistry.histogram(
+    'archonri_poll_duration_seconds', 'Duration of one poll of the Commands database'),
+  polls: metricsRegistry.counter(
+    'archonri_polls_total', 'Polls by result', ['result']),
+  notionRequests: metricsRegistry.counter(
+    'archonri_notion_requests_total', 'Notion API calls by method, including retries', ['method']),
+  notionErrors: metricsRegistry.counter(
+    'archonri_notion_request_errors_total', 'Failed Notion API calls by method and error code', ['method', 'code']),
+  dispatchDuration: metricsRegistry.histogram(
+    'archonri_dispatch_duration_seconds', 'Webhook dispatch latency per attempt',
+    { labelNames: ['route'] }),
+  dispatches: metricsRegistry.counter(
+    'archonri_dispatches_total', 'Webhook dispatch attempts by outcome (success, http_error, network_error)',
+    ['route', 'outcome']),
+  scheduledRuns: metricsRegistry.counter(
+    'archonri_scheduled_runs_total', 'Run pages created for recurring commands', ['route']),
+  commandsFinished: metricsRegistry.counter(
+    'archonri_commands_finished_total', 'Commands reaching a final or waiting status',
+    ['route', 'status']),
+  queueDepth: metricsRegistry.gauge(
+    'archonri_queue_depth', 'Commands in Deploy status at the last poll, by source',
+    { labelNames: ['source'] }),
+  pollInterval: metricsRegistry.gauge(
+    'archonri_poll_interval_seconds', 'Current delay between idle polls',
+    { collect: () => currentPollInterval / 1000 }),
+  syncs: metricsRegistry.counter(
+    'archonri_notion_syncs_total', 'Commands database syncs by kind (full, incremental)', ['kind']),
+  notionEvents: metricsRegistry.counter(
+    'archonri_notion_webhook_events_total', 'Notion webhook events by type and result (applied, ignored, rejected)',
+    ['type', 'result']),
+  lastPollAge: metricsRegistry.gauge(
+    'archonri_seconds_since_last_successful_poll', 'Seconds since the last poll that completed without error',
+    { collect: () => (lastSuccessfulPollAt === null ? null : (Date.now() - lastSuccessfulPollAt) / 1000) }),
+  workersBusy: metricsRegistry.gauge(
+    'archonri_workers_busy', 'Commands being processed by the worker pool',
+    { collect: () => workerPool.active }),
+  workerQueue: metricsRegistry.gauge(
+    'archonri_worker_queue_length', 'Commands picked up and waiting for a worker or for their entity',
+    { collect: () => workerPool.queued }),
+  pollingPaused: metricsRegistry.gauge(
+    'archonri_polling_paused', '1 while polling is paused through the admin API',
+    { collect: () => (pollingPaused ? 1 : 0) }),
+  uptime: metricsRegistry.gauge(
+    'archonri_uptime_seconds', 'Process uptime', { collect: () => process.uptime() }),
+};
+
 // ============================================================
 // NOTION CLIENT
 // ============================================================
 
-const notion = new Client({ auth: config.notion.apiKey });
+const notion = createNotionAccess({
+  auth: config.notion.apiKey,
+  requestsPerSecond: config.notion.requestsPerSecond,
+  onRequest: ({ method, error }) => {
+    metrics.notionRequests.inc({ method });
+    if (error) {
+      metrics.notionErrors.inc({ method, code: error.code || error.name || 'unknown' });
+      log('warn', 'Notion request failed', { method, code: error.code, status: error.status, error: error.message });
+    }
+  },
+});
+
+// Entity ID -> Entities page lookups; null without ENTITIES_DB_ID
+const entityResolver = config.notion.entitiesDbId
+  ? createEntityResolver({
+    client: notion,
+    entitiesDbId: config.notion.entitiesDbId,
+    ttlMs: config.entities.cacheTtlMs,
+    negativeTtlMs: config.entities.negativeCacheTtlMs,
+  })
+  : null;
+
+// Durable record of every command this service has picked up, so restarts
+// neither re-trigger finished commands nor forget in-flight ones.
+// Opened in main() before polling starts.
+let ledger;
 
-// Track processed command IDs to avoid duplicate triggers
-const processedCommands = new Set();
+// Maps each command to its webhook target. Built in main().
+let router;
+
+// Payload schemas keyed by command name. Loaded in main().
+let schemaRegistry;
+
+// Commands that need two-person approval. Loaded in main().
+let approvalPolicy;
+
+// Signed lifecycle audit trail. Created in main().
+let auditTrail;
+
+// Commands pages in the statuses the poller acts on, kept current incrementally. Opened in main().
+let changeTracker;
+
+// Commands submitted over HTTP or through the queue directory. Opened in main().
+let commandStore;
+
+// Every enabled command source, Notion first. Built in main().
+let commandSources;
 
 // ============================================================
 // LOGGING
@@ -62,20 +342,53 @@ function log(level, message, data = {}) {
   console.log(JSON.stringify(logEntry));
 }
 
+// ============================================================
+// AUDIT TRAIL
+// ============================================================
+
+/**
+ * Record a command lifecycle event. Write failures are logged rather than
+ * thrown so a broken Audits database can't leave commands half-processed.
+ * @param {string} event - e.g. 'picked_up', 'dispatched', 'completed'
+ * @param {Object} subject - commandData, or auditSubject(ledgerEntry)
+ * @param {Object} [details]
+ */
+async function audit(event, subject, details = {}) {
+  try {
+    await auditTrail.record(event, {
+      pageId: subject.id,
+      command: subject.command,
+      correlationId: subject.correlationId,
+      payloadHash: subject.payloadHash,
+    }, details);
+  } catch (error) {
+    log('error', 'Failed to write audit entry', { event, pageId: subject.id, error: error.message });
+  }
+}
+
+/**
+ * Audit subject for a command known only from the ledger
+ * @param {Object} entry - Ledger entry
+ * @returns {Object}
+ */
+function auditSubject(entry) {
+  return {
+    id: entry.pageId,
+    command: entry.command,
+    correlationId: entry.meta?.correlationId,
+    payloadHash: entry.meta?.payloadHash,
+  };
+}
+
 // ============================================================
 // NOTION WATCHER
 // ============================================================
 
-async function fetchPendingCommands() {
+async function queryCommands(filter, context = {}) {
   try {
-    const response = await notion.databases.query({
+    return await notion.queryAll({
       database_id: config.notion.commandsDbId,
-      filter: {
-        property: 'Status',
-        select: {
-          equals: 'Deploy',
-        },
-      },
+      filter,
       sorts: [
         {
           timestamp: 'created_time',
@@ -83,69 +396,261 @@ async function fetchPendingCommands() {
         },
       ],
     });
-
-    return response.results;
   } catch (error) {
     log('error', 'Failed to fetch commands from Notion', {
+      ...context,
       error: error.message,
       code: error.code,
     });
-    return [];
+    throw error;
   }
 }
 
+async function fetchCommandsByStatus(status, { editedSince } = {}) {
+  const statusFilter = {
+    property: 'Status',
+    select: {
+      equals: status,
+    },
+  };
+
+  return queryCommands(
+    editedSince
+      ? { and: [statusFilter, { timestamp: 'last_edited_time', last_edited_time: { on_or_after: editedSince } }] }
+      : statusFilter,
+    { status }
+  );
+}
+
+/**
+ * Whether a command has been switched to Cancelled in Notion
+ * @param {string} pageId
+ * @returns {Promise<boolean>}
+ */
+async function isCancelledInNotion(pageId) {
+  const page = await notion.pages.retrieve({ page_id: pageId });
+  return page.properties.Status?.select?.name === 'Cancelled';
+}
+
 async function extractCommandData(page) {
   const properties = page.properties;
 
-  // Extract common properties - adjust based on your Commands DB schema
+  // Extract common properties - adjust based on your Commands DB schema.
+  // Rich text is joined across segments: Notion splits long text every 2000 chars.
   const data = {
     id: page.id,
-    command: properties.Name?.title?.[0]?.plain_text || 'Unknown',
+    source: NOTION_SOURCE,
+    command: richTextToPlain(properties.Name?.title) || 'Unknown',
     status: properties.Status?.select?.name || 'Unknown',
-    entityId: properties['Entity ID']?.rich_text?.[0]?.plain_text || null,
-    payload: properties.Payload?.rich_text?.[0]?.plain_text || '{}',
+    entityId: richTextToPlain(properties['Entity ID']?.rich_text) || null,
+    payload: richTextToPlain(properties.Payload?.rich_text).trim(),
+    payloadSource: 'property',
     createdTime: page.created_time,
+    runAt: properties['Run At']?.date?.start || null,
+    schedule: richTextToPlain(properties.Schedule?.rich_text).trim() || null,
+    parentId: properties['Parent Command']?.relation?.[0]?.id || null,
+    createdBy: page.created_by?.id || null,
+    lastEditedBy: page.last_edited_by?.id || null,
+    approvedBy: (properties['Approved By']?.people || []).map(p => ({ id: p.id, name: p.name || null })),
   };
 
-  // Try to parse payload as JSON
-  try {
-    data.parsedPayload = JSON.parse(data.payload);
-  } catch {
-    data.parsedPayload = {};
+  // Payloads too large for the property live in a JSON code block in the page body
+  if (!data.payload) {
+    try {
+      const blocks = await notion.listAllBlockChildren(page.id);
+      const code = findJsonCodeBlock(blocks);
+      if (code !== null) {
+        data.payload = code;
+        data.payloadSource = 'page_body';
+      }
+    } catch (error) {
+      data.payloadError = `Could not read payload from page body: ${error.message}`;
+    }
   }
+  data.payload = data.payload || '{}';
+
+  // Parse payload as JSON; a bad payload is reported, never sent as {}
+  const parsed = parsePayload(data.payload);
+  data.parsedPayload = parsed.ok ? parsed.value : {};
+  data.payloadError = data.payloadError || (parsed.ok ? null : parsed.error);
+
+  data.payloadHash = hashPayload(data.parsedPayload);
+  data.correlationId = data.parsedPayload.correlation_id || data.entityId || null;
 
   return data;
 }
 
-async function updateCommandStatus(pageId, newStatus, notes = '') {
+async function updateNotionStatus(pageId, newStatus, notes = '', extraProperties = {}) {
+  await notion.pages.update({
+    page_id: pageId,
+    properties: {
+      Status: {
+        select: { name: newStatus },
+      },
+      ...(notes && {
+        Notes: {
+          rich_text: toRichText(notes),
+        },
+      }),
+      ...extraProperties,
+    },
+  });
+}
+
+/**
+ * Rewrite a Notion command's Notes, leaving its Status as it is (the page may
+ * have moved on since it was read). Errors are logged.
+ * @param {string} pageId
+ * @param {string} notes
+ */
+async function updateNotionNotes(pageId, notes) {
   try {
     await notion.pages.update({
       page_id: pageId,
-      properties: {
-        Status: {
-          select: { name: newStatus },
-        },
-        ...(notes && {
-          Notes: {
-            rich_text: [{ text: { content: notes } }],
-          },
-        }),
-      },
+      properties: { Notes: { rich_text: toRichText(notes) } },
     });
-    log('info', 'Updated command status', { pageId, newStatus });
+  } catch (error) {
+    log('error', 'Failed to update command notes', { pageId, error: error.message });
+  }
+}
+
+/**
+ * Pipeline view of a Commands page; `page` keeps what only Notion commands
+ * have (approvals, dependencies, the Entity relation)
+ * @param {Object} page
+ * @returns {Object}
+ */
+function notionItem(page) {
+  return {
+    id: page.id,
+    source: NOTION_SOURCE,
+    createdTime: page.created_time,
+    entityId: richTextToPlain(page.properties['Entity ID']?.rich_text) || null,
+    due: isDue(page),
+    page,
+  };
+}
+
+/**
+ * The Commands database as a command source. Pending commands come from the
+ * change tracker; status is written back to the page.
+ * @type {import('./lib/commandSources.js').CommandSource}
+ */
+const notionSource = {
+  name: NOTION_SOURCE,
+  notionFeatures: true,
+
+  async sync() {
+    const sync = await changeTracker.sync();
+    metrics.syncs.inc({ kind: sync.full ? 'full' : 'incremental' });
+    if (sync.full || sync.changed) {
+      log('debug', 'Commands synced', { full: sync.full, changed: sync.changed, tracked: changeTracker.size });
+    }
+    return sync.changed;
+  },
+
+  pending() {
+    return changeTracker.pages('Deploy').map(notionItem);
+  },
+
+  async interrupted() {
+    const pages = [
+      ...await fetchCommandsByStatus('Processing'),
+      ...await fetchCommandsByStatus('Retrying'),
+    ];
+    return pages.map(page => page.id);
+  },
+
+  load(item) {
+    return extractCommandData(item.page);
+  },
+
+  async get(pageId) {
+    const page = await notion.pages.retrieve({ page_id: pageId });
+    return {
+      ...notionItem(page),
+      status: page.properties.Status?.select?.name,
+      command: richTextToPlain(page.properties.Name?.title) || 'Unknown',
+    };
+  },
+
+  reportStatus: updateNotionStatus,
+  isCancelled: isCancelledInNotion,
+};
+
+// ============================================================
+// COMMAND SOURCES
+// ============================================================
+
+/**
+ * Report a status change through the command's source: its Notion page, the
+ * command store for HTTP submissions, or the queue's status file. Failures
+ * are logged, never thrown, so the pipeline carries on.
+ * @param {string} commandId
+ * @param {string} newStatus
+ * @param {string} [notes]
+ * @param {Object} [extraProperties] - Further Notion properties to set (Notion commands only)
+ */
+async function updateCommandStatus(commandId, newStatus, notes = '', extraProperties = {}) {
+  try {
+    const source = commandSources.forCommand(commandId);
+    await source.reportStatus(commandId, newStatus, notes, extraProperties);
+    log('info', 'Updated command status', { pageId: commandId, source: source.name, newStatus });
   } catch (error) {
     log('error', 'Failed to update command status', {
-      pageId,
+      pageId: commandId,
       error: error.message,
     });
   }
 }
 
+/**
+ * Whether a command has been cancelled at its source. Read errors are
+ * logged and treated as "not cancelled" so a flaky read can't drop a command.
+ * @param {string} commandId
+ * @returns {Promise<boolean>}
+ */
+async function isCancelledAtSource(commandId) {
+  try {
+    return await commandSources.forCommand(commandId).isCancelled(commandId);
+  } catch (error) {
+    log('warn', 'Could not check command status', { pageId: commandId, error: error.message });
+    return false;
+  }
+}
+
 // ============================================================
 // N8N WORKFLOW TRIGGER
 // ============================================================
 
-async function triggerN8nWorkflow(commandData) {
+/**
+ * Signal that aborts when `signal` does or after `timeoutMs`, whichever is
+ * first. Combined by hand: AbortSignal.any needs Node 20.3.
+ * @param {AbortSignal} [signal]
+ * @param {number} timeoutMs
+ * @returns {AbortSignal}
+ */
+function abortAfter(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  if (!signal) return timeout;
+
+  const controller = new AbortController();
+  const abort = event => {
+    signal.removeEventListener('abort', abort);
+    timeout.removeEventListener('abort', abort);
+    controller.abort(event.target.reason);
+  };
+  if (signal.aborted) {
+    controller.abort(signal.reason);
+  } else {
+    signal.addEventListener('abort', abort);
+    timeout.addEventListener('abort', abort);
+  }
+  return controller.signal;
+}
+
+async function triggerN8nWorkflow(commandData, route, attempt = 1, signal) {
+  const started = Date.now();
   try {
     const payload = {
       source: 'archonri-brain',
@@ -153,39 +658,136 @@ async function triggerN8nWorkflow(commandData) {
       entity_id: commandData.entityId,
       timestamp: new Date().toISOString(),
       ...commandData.parsedPayload,
+      ...(commandData.entity && {
+        entity: { page_id: commandData.entity.pageId, ...commandData.entity.fields },
+      }),
+      ...(commandData.parentId && { parent_command_id: commandData.parentId }),
+      ...(commandData.approval && {
+        requested_by: commandData.approval.requestedBy,
+        approved_by: commandData.approval.approvedBy,
+      }),
+      ...(route.awaitCallback && {
+        command_id: commandData.id,
+        callback_url: `${config.callbacks.baseUrl}/callbacks/${encodeURIComponent(commandData.id)}`,
+      }),
     };
 
     log('info', 'Triggering n8n workflow', {
       command: commandData.command,
-      webhookUrl: config.n8n.webhookUrl,
+      route: route.name,
+      webhookUrl: route.url,
     });
 
-    const response = await fetch(config.n8n.webhookUrl, {
+    // Signed per attempt so retries carry a fresh timestamp and nonce
+    const signed = signWebhookRequest(payload, config.signingKey);
+
+    await audit('dispatched', commandData, { route: route.name, attempt });
+
+    const response = await fetch(route.url, {
       method: 'POST',
       headers: {
+        ...route.headers,
+        ...signed.headers,
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify(payload),
+      body: signed.body,
+      signal: abortAfter(signal, route.timeoutMs),
+    });
+
+    const labels = { route: route.name };
+    metrics.dispatchDuration.observe(labels, (Date.now() - started) / 1000);
+    metrics.dispatches.inc({ ...labels, outcome: response.ok ? 'success' : 'http_error' });
+
+    await audit('response_received', commandData, {
+      route: route.name,
+      attempt,
+      http_status: response.status,
+      duration_ms: Date.now() - started,
     });
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = `HTTP ${response.status}: ${response.statusText}`;
+      log('error', 'n8n workflow returned an error', {
+        commandId: commandData.id,
+        route: route.name,
+        error,
+      });
+      return {
+        success: false,
+        error,
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+      };
     }
 
     const result = await response.json().catch(() => ({}));
 
     log('info', 'n8n workflow triggered successfully', {
       commandId: commandData.id,
+      route: route.name,
       responseStatus: response.status,
     });
 
     return { success: true, result };
   } catch (error) {
-    log('error', 'Failed to trigger n8n workflow', {
+    const aborted = Boolean(signal?.aborted);
+    log(aborted ? 'warn' : 'error', aborted ? 'n8n workflow call aborted' : 'Failed to trigger n8n workflow', {
       commandId: commandData.id,
+      route: route.name,
+      error: error.message,
+    });
+    const labels = { route: route.name };
+    metrics.dispatchDuration.observe(labels, (Date.now() - started) / 1000);
+    metrics.dispatches.inc({ ...labels, outcome: aborted ? 'aborted' : 'network_error' });
+
+    await audit('response_received', commandData, {
+      route: route.name,
+      attempt,
       error: error.message,
+      duration_ms: Date.now() - started,
+    });
+    return { success: false, error: error.message, network: true };
+  }
+}
+
+/**
+ * Dispatch a command, retrying transient failures per the route's retry policy.
+ * Each retry is visible in Notion as 'Retrying' with the attempt count in Notes.
+ * Aborting `signal` stops the call in flight and any further attempts.
+ * @returns {Promise<Object>} - Final trigger result plus `attempts`, `deadLetter` and `cancelled`
+ */
+async function dispatchWithRetry(commandData, route, signal) {
+  const policy = resolveRetryPolicy(config.retry, route.retry);
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await triggerN8nWorkflow(commandData, route, attempt, signal);
+    if (signal?.aborted) return { ...result, attempts: attempt, cancelled: true };
+    if (result.success) return { ...result, attempts: attempt };
+
+    if (!isRetryableFailure(policy, result)) {
+      return { ...result, attempts: attempt, deadLetter: false };
+    }
+    if (attempt >= policy.maxAttempts) {
+      return { ...result, attempts: attempt, deadLetter: true };
+    }
+
+    const delayMs = getRetryDelay(policy, attempt, result);
+    const note = `Attempt ${attempt}/${policy.maxAttempts} failed: ${result.error}. ` +
+      `Retrying in ${(delayMs / 1000).toFixed(1)}s`;
+
+    log('warn', 'Retrying n8n workflow', {
+      commandId: commandData.id,
+      route: route.name,
+      attempt,
+      maxAttempts: policy.maxAttempts,
+      delayMs,
     });
-    return { success: false, error: error.message };
+
+    await ledger.record(commandData.id, 'Retrying', { note, attempt: true });
+    await updateCommandStatus(commandData.id, 'Retrying', note);
+    await audit('retry_scheduled', commandData, { route: route.name, attempt, delay_ms: delayMs, error: result.error });
+    await sleep(delayMs, signal);
+    if (signal?.aborted) return { ...result, attempts: attempt, cancelled: true };
   }
 }
 
@@ -193,106 +795,1614 @@ async function triggerN8nWorkflow(commandData) {
 // MAIN POLLING LOOP
 // ============================================================
 
-async function processCommands() {
-  const commands = await fetchPendingCommands();
+const workerPool = createWorkerPool({
+  concurrency: config.workers.concurrency,
+  maxQueued: config.workers.maxQueued,
+});
+
+// Commands handed to the worker pool and not yet finished, keyed by command ID.
+// The controller aborts the webhook call when the command is cancelled.
+const inFlightCommands = new Map();
 
-  for (const page of commands) {
-    // Skip if already processed in this session
-    if (processedCommands.has(page.id)) {
-      continue;
+/**
+ * Hand a source's new Deploy commands to the worker pool, oldest first,
+ * without waiting for them. Only as many as the pool can take are picked up;
+ * the rest stay in Deploy for a later poll, so per-entity creation order is
+ * kept. The source is synced just before.
+ * @param {Object} source - CommandSource
+ * @returns {Promise<{ pickedUp: number, deferred: number }>} - Commands handed
+ *   over, and commands left waiting because the pool was full
+ */
+async function processCommands(source) {
+  const commands = source.pending();
+  metrics.queueDepth.set({ source: source.name }, commands.length);
+
+  // Commands that were waiting for approval and now have it rejoin the queue
+  if (source === notionSource && approvalPolicy.rules.length) {
+    const awaiting = changeTracker.pages('Awaiting Approval').map(notionItem);
+    commands.push(...awaiting.filter(item =>
+      (ledger.isClaimable(item.id) || ledger.get(item.id).status === 'Awaiting Approval') &&
+      checkApproval(approvalIdentities(item.page)).approved
+    ));
+  }
+  commands.sort((a, b) => a.createdTime.localeCompare(b.createdTime));
+
+  const claimable = commands.filter(item =>
+    item.due &&
+    (ledger.isClaimable(item.id) || ledger.get(item.id)?.status === 'Awaiting Approval') &&
+    !inFlightCommands.has(item.id)
+  );
+
+  // Commands held by their dependencies don't take a place in the pool
+  const dependencyCache = new Map();
+  const batch = [];
+  let deferred = 0;
+  for (const [i, item] of claimable.entries()) {
+    if (batch.length >= workerPool.capacity) {
+      deferred = claimable.length - i;
+      log('debug', 'Worker pool full; deferring commands', { pickedUp: batch.length, deferred });
+      break;
     }
+    if (!item.page || await checkDependencies(item.page, dependencyCache)) batch.push(item);
+  }
 
-    const commandData = await extractCommandData(page);
+  for (const item of batch) {
+    if (ledger.get(item.id)?.status === 'Awaiting Approval') {
+      await ledger.requeue(item.id, 'Approval received');
+    }
+  }
 
-    log('info', 'Processing command', {
-      id: commandData.id,
-      command: commandData.command,
+  if (entityResolver && batch.length) await prefetchEntities(batch);
+
+  // A shutdown can start while this poll was querying Notion
+  if (shuttingDown) return { pickedUp: 0, deferred: 0 };
+
+  for (const item of batch) {
+    processCommand(item).catch((error) => {
+      log('error', 'Command processing failed', { pageId: item.id, error: error.message });
     });
+  }
+  return { pickedUp: batch.length, deferred };
+}
 
-    // Mark as processing
-    await updateCommandStatus(page.id, 'Processing');
-    processedCommands.add(page.id);
+/**
+ * Whether a one-off command's `Run At` has passed. Recurring commands are
+ * always picked up; their `Run At` only delays the first run.
+ * @param {Object} page
+ * @returns {boolean}
+ */
+function isDue(page) {
+  const runAt = page.properties['Run At']?.date?.start;
+  const recurring = Boolean(richTextToPlain(page.properties.Schedule?.rich_text).trim());
+  return recurring || !runAt || Date.parse(runAt) <= Date.now();
+}
 
-    // Trigger the n8n workflow
-    const result = await triggerN8nWorkflow(commandData);
+/**
+ * Validate, route and dispatch one command, recording every transition in
+ * the ledger, its source and the audit trail. Used by the poller and by
+ * admin replays. Runs on the worker pool, after any earlier command for the
+ * same Entity ID.
+ * @param {Object} item - Pending command from its source (see CommandSource)
+ */
+async function processCommand(item) {
+  // Skip if already picked up, in this or an earlier run
+  if (!ledger.isClaimable(item.id) || inFlightCommands.has(item.id)) {
+    return;
+  }
 
-    // Update status based on result
-    if (result.success) {
-      await updateCommandStatus(
-        page.id,
-        'Completed',
-        `Executed at ${new Date().toISOString()}`
-      );
-    } else {
-      await updateCommandStatus(
-        page.id,
-        'Failed',
-        `Error: ${result.error}`
-      );
-    }
+  const controller = new AbortController();
+  inFlightCommands.set(item.id, controller);
+  try {
+    await workerPool.run(item.entityId, async () => {
+      // Cancelled while waiting for a worker, or the service is shutting down
+      if (controller.signal.aborted || shuttingDown) return;
+      await runCommand(item, controller.signal);
+    });
+  } finally {
+    inFlightCommands.delete(item.id);
   }
 }
 
-let pollCount = 0;
+async function runCommand(item, signal) {
+  const commandData = await commandSources.get(item.source).load(item);
+  const page = item.page;
 
-async function startPolling() {
-  log('info', 'Starting Notion watcher', {
-    commandsDbId: config.notion.commandsDbId,
-    pollInterval: config.pollInterval,
+  log('info', 'Processing command', {
+    id: commandData.id,
+    source: commandData.source,
+    command: commandData.command,
   });
+  await audit('picked_up', commandData, { source: commandData.source, payload_source: commandData.payloadSource });
 
-  const poll = async () => {
-    pollCount++;
+  // Kept on the ledger entry so later events (callbacks, recovery) can be audited
+  const auditMeta = { correlationId: commandData.correlationId, payloadHash: commandData.payloadHash };
 
-    try {
-      await processCommands();
-    } catch (error) {
-      log('error', 'Polling error', { error: error.message });
+  const payloadErrors = commandData.payloadError
+    ? [commandData.payloadError]
+    : schemaRegistry.validate(commandData.command, commandData.parsedPayload);
+  if (payloadErrors.length) {
+    log('warn', 'Invalid command payload', { id: commandData.id, command: commandData.command, errors: payloadErrors });
+    await ledger.record(commandData.id, 'Failed', {
+      command: commandData.command,
+      note: payloadErrors.join('; '),
+      meta: auditMeta,
+    });
+    await updateCommandStatus(
+      commandData.id,
+      'Failed',
+      `Invalid payload:\n${payloadErrors.map(e => `- ${e}`).join('\n')}`
+    );
+    await audit('failed', commandData, { reason: 'invalid_payload', errors: payloadErrors });
+    metrics.commandsFinished.inc({ route: 'none', status: 'Failed' });
+    return;
+  }
+
+  const route = router.resolve(commandData);
+  if (!route) {
+    const reason = `No route matches command '${commandData.command}' and no default route is configured`;
+    log('warn', 'No route for command', { id: commandData.id, command: commandData.command });
+    await ledger.record(commandData.id, 'Failed', { command: commandData.command, note: reason, meta: auditMeta });
+    await updateCommandStatus(commandData.id, 'Failed', `Error: ${reason}`);
+    await audit('failed', commandData, { reason: 'no_route' });
+    metrics.commandsFinished.inc({ route: 'none', status: 'Failed' });
+    return;
+  }
+
+  if (approvalPolicy.requiresApproval(commandData.command)) {
+    // Approval is given on the Notion page; other sources have nowhere to collect it
+    if (!page) {
+      const reason = `Command '${commandData.command}' requires approval, which only Notion commands support`;
+      log('warn', 'Approval unavailable for command source', { id: commandData.id, source: commandData.source });
+      await ledger.record(commandData.id, 'Failed', { command: commandData.command, note: reason, meta: auditMeta });
+      await updateCommandStatus(commandData.id, 'Failed', `Error: ${reason}`);
+      await audit('failed', commandData, { reason: 'approval_unavailable', source: commandData.source });
+      metrics.commandsFinished.inc({ route: route.name, status: 'Failed' });
+      return;
     }
+    const approval = checkApproval(approvalIdentities(page));
+    if (!approval.approved) {
+      await requestApproval(commandData, approval.reason, auditMeta);
+      return;
+    }
+    commandData.approval = {
+      requestedBy: await describeUser(commandData.createdBy),
+      approvedBy: await describeUser(approval.approver, commandData.approvedBy),
+    };
+    await audit('approved', commandData, { requested_by: commandData.createdBy, approved_by: approval.approver });
+  }
 
-    // Log heartbeat every 100 polls (~8 min at 5s interval)
-    if (pollCount % 100 === 0) {
-      log('info', 'Heartbeat', {
-        pollCount,
-        processedCommands: processedCommands.size,
-        uptime: process.uptime(),
+  // A recurring command is a template: its runs are separate pages
+  if (commandData.schedule) {
+    await scheduleRecurringCommand(commandData, auditMeta);
+    return;
+  }
+
+  // The poll snapshot can be minutes old by now; a cancelled command is never dispatched
+  if (signal.aborted) return;
+  if (await isCancelledAtSource(commandData.id)) {
+    await cancelCommand(commandData.id, { via: 'notion', command: commandData.command, meta: auditMeta });
+    return;
+  }
+
+  // Resolved before Processing, so a command without exactly one entity is never dispatched
+  if (entityResolver && commandData.entityId) {
+    const entityPageIds = await entityResolver.resolve(commandData.entityId);
+    if (entityPageIds.length !== 1) {
+      const reason = entityPageIds.length
+        ? `Ambiguous entity: ${entityPageIds.length} Entities pages have Correlation ID '${commandData.entityId}'`
+        : `Unknown entity: no Entities page has Correlation ID '${commandData.entityId}'`;
+      log('warn', entityPageIds.length ? 'Duplicate entity' : 'Unknown entity', {
+        id: commandData.id,
+        entityId: commandData.entityId,
+        entityPageIds,
       });
+      await ledger.record(commandData.id, 'Failed', { command: commandData.command, note: reason, meta: auditMeta });
+      await updateCommandStatus(commandData.id, 'Failed', `Error: ${reason}`);
+      await audit('failed', commandData, entityPageIds.length
+        ? { reason: 'duplicate_entity', entity_page_ids: entityPageIds }
+        : { reason: 'unknown_entity' });
+      metrics.commandsFinished.inc({ route: route.name, status: 'Failed' });
+      return;
     }
+    commandData.entity = await loadEntity(entityPageIds[0]);
+    if (page) await linkEntity(page, commandData.entity.pageId);
+  }
 
-    setTimeout(poll, config.pollInterval);
-  };
+  // Not dispatched yet: leave it in Deploy for the next instance rather than start now
+  if (shuttingDown) {
+    log('info', 'Shutting down; command left for the next run', { id: commandData.id });
+    await audit('released', commandData, { reason: 'shutdown' });
+    return;
+  }
 
-  poll();
+  // Mark as processing - ledger first, so a crash after this point is recoverable
+  await ledger.record(commandData.id, 'Processing', {
+    command: commandData.command,
+    attempt: true,
+    meta: { awaitCallback: route.awaitCallback, route: route.name, ...auditMeta },
+  });
+  await updateCommandStatus(commandData.id, 'Processing');
+  await audit('processing', commandData, {
+    route: route.name,
+    ...(commandData.entity && { entity_page_id: commandData.entity.pageId }),
+  });
+
+  // Trigger the n8n workflow
+  const result = await dispatchWithRetry(commandData, route, signal);
+
+  // A callback, a cancellation or a shutdown can land before the webhook call itself returns
+  if (ledger.get(commandData.id).outcome || result.cancelled) {
+    return;
+  }
+  if (await isCancelledAtSource(commandData.id)) {
+    await cancelCommand(commandData.id, { via: 'notion' });
+    return;
+  }
+
+  metrics.commandsFinished.inc({
+    route: route.name,
+    status: !result.success ? (result.deadLetter ? 'Dead Letter' : 'Failed')
+      : route.awaitCallback ? 'Awaiting Callback' : 'Completed',
+  });
+
+  // Update status based on result
+  if (result.success && route.awaitCallback) {
+    const deadline = new Date(Date.now() + config.callbacks.timeoutMs).toISOString();
+    await ledger.record(commandData.id, 'Awaiting Callback', { meta: { callbackDeadline: deadline } });
+    await updateCommandStatus(
+      commandData.id,
+      'Awaiting Callback',
+      `Dispatched at ${new Date().toISOString()}; waiting for callback until ${deadline}`
+    );
+    await audit('awaiting_callback', commandData, { route: route.name, deadline });
+  } else if (result.success) {
+    await ledger.record(commandData.id, 'Completed');
+    await updateCommandStatus(
+      commandData.id,
+      'Completed',
+      `Executed at ${new Date().toISOString()}`
+    );
+    await audit('completed', commandData, { route: route.name, attempts: result.attempts });
+  } else if (result.deadLetter) {
+    await ledger.record(commandData.id, 'Dead Letter', { note: result.error });
+    await updateCommandStatus(
+      commandData.id,
+      'Dead Letter',
+      `Gave up after ${result.attempts} attempts. Last error: ${result.error}`
+    );
+    await audit('dead_lettered', commandData, { route: route.name, attempts: result.attempts, error: result.error });
+  } else {
+    await ledger.record(commandData.id, 'Failed', { note: result.error });
+    await updateCommandStatus(
+      commandData.id,
+      'Failed',
+      `Error: ${result.error} (not retryable)`
+    );
+    await audit('failed', commandData, { route: route.name, attempts: result.attempts, error: result.error });
+  }
 }
 
 // ============================================================
-// HEALTH CHECK SERVER
+// ENTITY ENRICHMENT
 // ============================================================
 
-function startHealthServer() {
-  const server = http.createServer((req, res) => {
-    if (req.url === '/' || req.url === '/health') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        status: 'healthy',
-        service: 'archonri-brain',
-        version: '1.0.0',
-        uptime: process.uptime(),
-        pollCount,
-        processedCommands: processedCommands.size,
-        timestamp: new Date().toISOString(),
-      }));
-    } else if (req.url === '/stats') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
-        pollCount,
-        processedCommands: Array.from(processedCommands),
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-        config: {
-          pollInterval: config.pollInterval,
-          commandsDbId: config.notion.commandsDbId?.slice(0, 8) + '...',
-        },
+/** Payload key for an Entities property, e.g. 'License Status' -> 'license_status' */
+function toPayloadKey(propertyName) {
+  return propertyName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Resolve the Entity IDs of a batch of commands in one lookup, so each
+ * command then finds its entity in the resolver's cache. Duplicated
+ * Correlation IDs are reported here; those commands fail when they run.
+ * @param {Object[]} items - Commands about to be processed
+ */
+async function prefetchEntities(items) {
+  try {
+    const { duplicates } = await entityResolver.resolveMany(items.map(item => item.entityId));
+    if (duplicates.size) {
+      log('warn', 'Several entities share a Correlation ID', { duplicates: Object.fromEntries(duplicates) });
+    }
+  } catch (error) {
+    // Each command resolves its own entity again when it runs
+    log('warn', 'Entity prefetch failed', { error: error.message });
+  }
+}
+
+/**
+ * Read the ENTITY_FIELDS of an entity page, keyed for the payload
+ * @param {string} pageId - Entities page ID
+ * @returns {Promise<Object>} - `{ pageId, fields }`
+ */
+async function loadEntity(pageId) {
+  const entityPage = await notion.pages.retrieve({ page_id: pageId });
+  const fields = {};
+  for (const name of config.entities.fields) {
+    fields[toPayloadKey(name)] = propertyToPlain(entityPage.properties[name]);
+  }
+  return { pageId, fields };
+}
+
+/** Point the command's Entity relation at its entity page (best effort) */
+async function linkEntity(page, entityPageId) {
+  if (page.properties.Entity?.relation?.some(related => related.id === entityPageId)) return;
+
+  try {
+    await notion.pages.update({
+      page_id: page.id,
+      properties: { Entity: { relation: [{ id: entityPageId }] } },
+    });
+  } catch (error) {
+    log('warn', 'Could not link command to entity', { pageId: page.id, entityPageId, error: error.message });
+  }
+}
+
+// ============================================================
+// APPROVALS
+// ============================================================
+
+// Notion user ID -> display name, for approval identities in payloads
+const userNames = new Map();
+
+function approvalIdentities(page) {
+  return {
+    createdBy: page.created_by?.id,
+    lastEditedBy: page.last_edited_by?.id,
+    approvers: (page.properties['Approved By']?.people || []).map(p => p.id),
+  };
+}
+
+/**
+ * `{ id, name }` for a Notion user. Names come from the Approved By property
+ * when present, otherwise from the users API (which needs the integration's
+ * "read user information" capability); without one the name is null.
+ */
+async function describeUser(userId, people = []) {
+  const known = people.find(p => p.id === userId)?.name;
+  if (known) return { id: userId, name: known };
+
+  if (!userNames.has(userId)) {
+    try {
+      const user = await notion.users.retrieve({ user_id: userId });
+      userNames.set(userId, user.name || null);
+    } catch (error) {
+      log('warn', 'Could not look up Notion user', { userId, error: error.message });
+      userNames.set(userId, null);
+    }
+  }
+  return { id: userId, name: userNames.get(userId) };
+}
+
+/**
+ * Park a command in 'Awaiting Approval'. An Approved By that doesn't count
+ * (set by the creator, or followed by other edits) is cleared so the approver
+ * has to set it again.
+ */
+async function requestApproval(commandData, reason, auditMeta) {
+  const alreadyWaiting = ledger.get(commandData.id)?.status === 'Awaiting Approval';
+  const notes = commandData.approvedBy.length
+    ? `Approval not accepted (${reason}). Approved By has been cleared; ` +
+      'someone other than the creator must set it again.'
+    : 'Requires approval: someone other than the creator must set Approved By.';
+
+  log('info', 'Command awaiting approval', { id: commandData.id, command: commandData.command, reason });
+  await ledger.record(commandData.id, 'Awaiting Approval', {
+    command: commandData.command,
+    note: reason,
+    meta: auditMeta,
+  });
+  await updateCommandStatus(
+    commandData.id,
+    'Awaiting Approval',
+    notes,
+    commandData.approvedBy.length ? { 'Approved By': { people: [] } } : {}
+  );
+  await audit('approval_requested', commandData, {
+    requested_by: commandData.createdBy,
+    reason,
+    ...(alreadyWaiting && { renewed: true }),
+  });
+}
+
+// ============================================================
+// DEPENDENCIES
+// ============================================================
+
+// Last dependency Notes written per waiting command, to avoid rewriting them every poll
+const dependencyNotes = new Map();
+
+function getDependsOn(page) {
+  return (page.properties['Depends On']?.relation || []).map(r => r.id);
+}
+
+/**
+ * Load a command as a node of the dependency graph. Outcomes come from the
+ * ledger when known, otherwise from Notion; results are cached per pass.
+ */
+async function loadDependencyNode(pageId, cache) {
+  if (cache.has(pageId)) return cache.get(pageId);
+
+  let node;
+  const entry = ledger.get(pageId);
+  if (entry?.outcome) {
+    node = { id: pageId, name: entry.command, status: entry.outcome, dependsOn: [] };
+  } else {
+    try {
+      const page = await notion.pages.retrieve({ page_id: pageId });
+      node = page.archived || page.in_trash
+        ? { id: pageId, missing: true }
+        : {
+          id: pageId,
+          name: richTextToPlain(page.properties.Name?.title) || null,
+          status: page.properties.Status?.select?.name || null,
+          dependsOn: getDependsOn(page),
+        };
+    } catch (error) {
+      if (error.status !== 404) throw error;
+      node = { id: pageId, missing: true };
+    }
+  }
+
+  cache.set(pageId, node);
+  return node;
+}
+
+/**
+ * Evaluate a command's `Depends On` relation without side effects
+ * @param {Object} page
+ * @param {Map} [cache] - Shared across commands evaluated in one pass
+ * @returns {Promise<Object>} - evaluateDependencies result
+ */
+async function evaluateCommandDependencies(page, cache = new Map()) {
+  const dependsOn = getDependsOn(page);
+  if (!dependsOn.length) return { state: 'ready', nodes: [] };
+  return evaluateDependencies(page.id, dependsOn, id => loadDependencyNode(id, cache));
+}
+
+/**
+ * Decide whether a Deploy command can run now. Waiting commands stay in
+ * Deploy with their dependency state in Notes; commands whose upstream failed,
+ * or that sit on a cycle, are failed or skipped here.
+ * @returns {Promise<boolean>} - true when every dependency is Completed
+ */
+async function checkDependencies(page, cache) {
+  const evaluation = await evaluateCommandDependencies(page, cache);
+  if (evaluation.state === 'ready') {
+    dependencyNotes.delete(page.id);
+    return true;
+  }
+
+  const notes = describeDependencies(evaluation, id => cache.get(id)?.name || id);
+  if (evaluation.state === 'waiting') {
+    if (dependencyNotes.get(page.id) !== notes) {
+      dependencyNotes.set(page.id, notes);
+      await updateNotionNotes(page.id, notes);
+    }
+    return false;
+  }
+
+  dependencyNotes.delete(page.id);
+  const commandData = await extractCommandData(page);
+  const status = evaluation.state === 'blocked' && config.dependencies.onUpstreamFailure === 'skip'
+    ? 'Skipped'
+    : 'Failed';
+  const reason = evaluation.state === 'cycle' ? 'dependency_cycle' : 'upstream_failed';
+
+  log('warn', 'Command blocked by its dependencies', { id: page.id, command: commandData.command, reason, status });
+  await ledger.record(page.id, status, {
+    command: commandData.command,
+    note: notes,
+    meta: { correlationId: commandData.correlationId, payloadHash: commandData.payloadHash },
+  });
+  await updateCommandStatus(page.id, status, notes);
+  await audit(status === 'Skipped' ? 'skipped' : 'failed', commandData, {
+    reason,
+    upstream: evaluation.state === 'cycle' ? evaluation.cycle : evaluation.nodes.map(n => n.id),
+  });
+  metrics.commandsFinished.inc({ route: 'none', status });
+  return false;
+}
+
+// ============================================================
+// SCHEDULED COMMANDS
+// ============================================================
+
+/**
+ * Stop a recurring command whose Schedule can't be evaluated
+ */
+async function failSchedule(commandData, reason, auditMeta) {
+  log('warn', 'Invalid command schedule', { id: commandData.id, schedule: commandData.schedule, reason });
+  await ledger.record(commandData.id, 'Failed', { command: commandData.command, note: reason, meta: auditMeta });
+  await updateCommandStatus(commandData.id, 'Failed', `Error: ${reason}`);
+  await audit('failed', commandData, { reason: 'invalid_schedule', schedule: commandData.schedule });
+  metrics.commandsFinished.inc({ route: 'none', status: 'Failed' });
+}
+
+/**
+ * Register a validated recurring command. It moves to 'Scheduled' and its
+ * first run is the first cron occurrence at or after `Run At` (or now).
+ */
+async function scheduleRecurringCommand(commandData, auditMeta) {
+  const notBefore = commandData.runAt ? Date.parse(commandData.runAt) - 1 : 0;
+
+  let nextRunAt;
+  try {
+    nextRunAt = nextCronRun(commandData.schedule, new Date(Math.max(Date.now(), notBefore)));
+  } catch (error) {
+    return failSchedule(commandData, `Invalid Schedule '${commandData.schedule}': ${error.message}`, auditMeta);
+  }
+  if (!nextRunAt) {
+    return failSchedule(commandData, `Schedule '${commandData.schedule}' never fires`, auditMeta);
+  }
+
+  await ledger.record(commandData.id, 'Scheduled', {
+    command: commandData.command,
+    meta: { ...auditMeta, schedule: commandData.schedule, nextRunAt: nextRunAt.toISOString(), runs: 0 },
+  });
+  await updateCommandStatus(
+    commandData.id,
+    'Scheduled',
+    `Recurring (${commandData.schedule}, UTC). First run at ${nextRunAt.toISOString()}`
+  );
+  await audit('scheduled', commandData, { schedule: commandData.schedule, next_run_at: nextRunAt.toISOString() });
+  log('info', 'Scheduled recurring command', { id: commandData.id, nextRunAt: nextRunAt.toISOString() });
+}
+
+/**
+ * Create a child run page for one occurrence of a recurring command.
+ * The run is an ordinary Deploy command, processed and tracked on its own.
+ */
+async function createRunPage(commandData, runNumber, scheduledFor) {
+  const runNote = `Run ${runNumber} of a recurring command, scheduled for ${scheduledFor}`;
+  const properties = {
+    Name: { title: [{ text: { content: commandData.command } }] },
+    Status: { select: { name: 'Deploy' } },
+    'Parent Command': { relation: [{ id: commandData.id }] },
+    Notes: { rich_text: toRichText(runNote) },
+    ...(commandData.entityId && { 'Entity ID': { rich_text: toRichText(commandData.entityId) } }),
+  };
+
+  // Keep the payload where the template had it: large payloads only fit in the body
+  const bodyPayload = commandData.payloadSource === 'page_body';
+  if (!bodyPayload) {
+    properties.Payload = { rich_text: toRichText(commandData.payload) };
+  }
+
+  return notion.pages.create({
+    parent: { database_id: config.notion.commandsDbId },
+    properties,
+    ...(bodyPayload && {
+      children: [{
+        object: 'block',
+        type: 'code',
+        code: { language: 'json', rich_text: toRichText(commandData.payload) },
+      }],
+    }),
+  }, {
+    // The parent and the note (run number and time) identify the run if a failed create made it anyway
+    findExisting: async () => {
+      const { results } = await notion.databases.query({
+        database_id: config.notion.commandsDbId,
+        filter: {
+          and: [
+            { property: 'Parent Command', relation: { contains: commandData.id } },
+            { property: 'Notes', rich_text: { equals: runNote } },
+          ],
+        },
+        page_size: 1,
+      });
+      return results[0] || null;
+    },
+  });
+}
+
+/**
+ * Create the run page for one recurring command whose next occurrence has passed.
+ * Occurrences missed while the service was down collapse into one run.
+ * @param {Object} entry - Ledger entry of the template page
+ * @param {number} now
+ */
+async function runSchedule(entry, now) {
+  const page = await notion.pages.retrieve({ page_id: entry.pageId });
+  const status = page.properties.Status?.select?.name;
+  const commandData = await extractCommandData(page);
+
+  // Switching the template away from Scheduled (or clearing Schedule) stops it;
+  // back to Deploy re-registers it with its current Schedule
+  if (status === 'Deploy') {
+    await ledger.requeue(entry.pageId, 'Schedule resubmitted');
+    return;
+  }
+  if (status !== 'Scheduled' || !commandData.schedule) {
+    const reason = status !== 'Scheduled' ? `status changed to ${status}` : 'Schedule cleared';
+    await ledger.record(entry.pageId, 'Cancelled', { note: `Schedule stopped: ${reason}` });
+    await audit('cancelled', auditSubject(entry), { via: 'notion', stage: 'scheduled', reason });
+    log('info', 'Recurring command stopped', { pageId: entry.pageId, reason });
+    return;
+  }
+
+  const scheduledFor = entry.meta.nextRunAt;
+  let nextRunAt;
+  try {
+    nextRunAt = nextCronRun(commandData.schedule, new Date(Math.max(now, Date.parse(scheduledFor))));
+  } catch (error) {
+    await failSchedule(commandData, `Invalid Schedule '${commandData.schedule}': ${error.message}`);
+    return;
+  }
+
+  const runNumber = (entry.meta.runs || 0) + 1;
+  const run = await createRunPage(commandData, runNumber, scheduledFor);
+  metrics.scheduledRuns.inc({ route: router.resolve(commandData)?.name || 'none' });
+
+  await ledger.record(entry.pageId, 'Scheduled', {
+    note: `Run ${runNumber} created: ${run.id}`,
+    meta: {
+      schedule: commandData.schedule,
+      nextRunAt: nextRunAt?.toISOString() || null,
+      lastRunAt: scheduledFor,
+      lastRunPageId: run.id,
+      runs: runNumber,
+      failures: 0,
+    },
+  });
+  await audit('run_created', auditSubject(entry), {
+    run_page_id: run.id,
+    scheduled_for: scheduledFor,
+    next_run_at: nextRunAt?.toISOString() || null,
+  });
+  log('info', 'Created run for recurring command', { pageId: entry.pageId, runPageId: run.id, runNumber });
+
+  if (nextRunAt) {
+    await updateCommandStatus(
+      entry.pageId,
+      'Scheduled',
+      `Recurring (${commandData.schedule}, UTC). Run ${runNumber} created for ${scheduledFor}; ` +
+      `next run at ${nextRunAt.toISOString()}`
+    );
+  } else {
+    await ledger.record(entry.pageId, 'Completed', { note: 'Schedule has no further occurrences' });
+    await audit('completed', auditSubject(entry), { reason: 'schedule_exhausted', runs: runNumber });
+    await updateCommandStatus(entry.pageId, 'Completed', `Run ${runNumber} was the last occurrence of ${commandData.schedule}`);
+  }
+}
+
+// A schedule that fails this many polls in a row (its template page deleted or
+// unreadable, say) is failed, so it stops erroring on every poll
+const MAX_SCHEDULE_FAILURES = 3;
+
+/**
+ * Create run pages for recurring commands whose next occurrence has passed.
+ * One schedule failing doesn't hold up the others; it is retried on the next
+ * poll and failed after MAX_SCHEDULE_FAILURES polls in a row.
+ */
+async function runDueSchedules() {
+  const now = Date.now();
+  const due = ledger.entries().filter(e => e.status === 'Scheduled' && Date.parse(e.meta.nextRunAt) <= now);
+
+  for (const entry of due) {
+    try {
+      await runSchedule(entry, now);
+    } catch (error) {
+      const failures = (entry.meta.failures || 0) + 1;
+      log('error', 'Recurring command run failed', { pageId: entry.pageId, failures, error: error.message });
+
+      if (failures < MAX_SCHEDULE_FAILURES) {
+        await ledger.record(entry.pageId, 'Scheduled', { note: `Run failed: ${error.message}`, meta: { failures } });
+        continue;
+      }
+      const reason = `Schedule failed ${failures} times in a row; last error: ${error.message}`;
+      await ledger.record(entry.pageId, 'Failed', { note: reason, meta: { failures } });
+      await updateCommandStatus(entry.pageId, 'Failed', `Error: ${reason}`);
+      await audit('failed', auditSubject(entry), { reason: 'schedule_error', error: error.message });
+      metrics.commandsFinished.inc({ route: 'none', status: 'Failed' });
+    }
+  }
+}
+
+// ============================================================
+// ASYNC CALLBACKS
+// ============================================================
+
+const callbackNonces = createNonceStore();
+
+/**
+ * Fail commands whose workflow never reported back
+ */
+async function expireAwaitedCallbacks() {
+  const now = new Date().toISOString();
+  const expired = ledger.entries().filter(e =>
+    e.status === 'Awaiting Callback' && e.meta?.callbackDeadline < now
+  );
+
+  for (const entry of expired) {
+    const note = `No callback received by ${entry.meta.callbackDeadline}`;
+    log('warn', 'Callback timed out', { pageId: entry.pageId, deadline: entry.meta.callbackDeadline });
+    await ledger.record(entry.pageId, 'Failed', { note });
+    await updateCommandStatus(entry.pageId, 'Failed', `Error: ${note}`);
+    await audit('failed', auditSubject(entry), { reason: 'callback_timeout', deadline: entry.meta.callbackDeadline });
+    metrics.commandsFinished.inc({ route: entry.meta.route, status: 'Failed' });
+  }
+}
+
+/**
+ * Handle a signed completion report from an n8n workflow.
+ * Body: { "command_id": string, "status": "success" | "failure", "result": any, "error": string }
+ *
+ * The signature covers the body only, so `command_id` must name the command
+ * in the URL: a report signed for one command can't be replayed against another.
+ */
+async function handleCallback(req, res, encodedId) {
+  let pageId;
+  try {
+    pageId = decodeURIComponent(encodedId);
+  } catch {
+    return sendJson(res, 400, { error: 'malformed command id' });
+  }
+
+  const rawBody = await readBody(req);
+
+  const verification = verifyWebhookRequest(req.headers, rawBody, config.signingKey, {
+    nonceStore: callbackNonces,
+  });
+  if (!verification.valid) {
+    log('warn', 'Rejected callback', { pageId, reason: verification.reason });
+    return sendJson(res, 401, { error: 'invalid signature' });
+  }
+
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    return sendJson(res, 400, { error: 'body must be JSON' });
+  }
+  if (body.command_id !== pageId) {
+    log('warn', 'Rejected callback', { pageId, reason: 'command_id does not match the callback URL' });
+    return sendJson(res, 400, { error: 'command_id must match the callback URL' });
+  }
+  if (!['success', 'failure'].includes(body.status)) {
+    return sendJson(res, 400, { error: "status must be 'success' or 'failure'" });
+  }
+
+  const entry = ledger.get(pageId);
+  if (!entry?.meta?.awaitCallback) {
+    return sendJson(res, 404, { error: 'no command awaiting a callback with this id' });
+  }
+  if (entry.outcome) {
+    return sendJson(res, 409, { error: `command already ${entry.outcome}` });
+  }
+  if (await isCancelledAtSource(pageId)) {
+    await cancelCommand(pageId, { via: 'notion' });
+    return sendJson(res, 409, { error: 'command already Cancelled' });
+  }
+
+  await audit('callback_received', auditSubject(entry), { status: body.status });
+
+  const finishedAt = new Date().toISOString();
+  if (body.status === 'success') {
+    const summary = body.result === undefined ? '' : ` Result: ${JSON.stringify(body.result)}`;
+    await ledger.record(pageId, 'Completed', { note: 'Callback reported success', meta: { result: body.result } });
+    await updateCommandStatus(pageId, 'Completed', `Completed via callback at ${finishedAt}.${summary}`);
+    await audit('completed', auditSubject(entry), { via: 'callback', result: body.result });
+  } else {
+    const error = body.error || 'workflow reported failure';
+    await ledger.record(pageId, 'Failed', { note: error, meta: { result: body.result } });
+    await updateCommandStatus(pageId, 'Failed', `Error (callback at ${finishedAt}): ${error}`);
+    await audit('failed', auditSubject(entry), { via: 'callback', error, result: body.result });
+  }
+
+  metrics.commandsFinished.inc({ route: entry.meta.route, status: ledger.get(pageId).outcome });
+  log('info', 'Callback processed', { pageId, status: body.status });
+  sendJson(res, 200, { ok: true, status: ledger.get(pageId).outcome });
+}
+
+// ============================================================
+// CANCELLATION
+// ============================================================
+
+// Ledger statuses of commands that are dispatched but not finished
+const ACTIVE_STATUSES = ['Processing', 'Retrying', 'Awaiting Callback'];
+
+const CANCELLED_VIA = { notion: 'in Notion', admin_api: 'via admin API' };
+
+/**
+ * Tell a callback-mode workflow that its command was cancelled. Sent once,
+ * signed like a dispatch, to the route's `cancelUrl` (default: its `url`).
+ * @param {Object} entry - Ledger entry of the cancelled command
+ * @returns {Promise<{ sent: boolean, status?: number, error?: string }>}
+ */
+async function sendCancellationNotice(entry) {
+  const route = router.byName(entry.meta.route);
+  if (!route) {
+    return { sent: false, error: `route '${entry.meta.route}' is no longer configured` };
+  }
+
+  const signed = signWebhookRequest({
+    source: 'archonri-brain',
+    event: 'command_cancelled',
+    command_id: entry.pageId,
+    command: entry.command,
+    correlation_id: entry.meta.correlationId || null,
+    timestamp: new Date().toISOString(),
+  }, config.signingKey);
+
+  try {
+    const response = await fetch(route.cancelUrl || route.url, {
+      method: 'POST',
+      headers: {
+        ...route.headers,
+        ...signed.headers,
+        'Content-Type': 'application/json',
+      },
+      body: signed.body,
+      signal: AbortSignal.timeout(route.timeoutMs),
+    });
+    return response.ok
+      ? { sent: true, status: response.status }
+      : { sent: false, status: response.status, error: `HTTP ${response.status}: ${response.statusText}` };
+  } catch (error) {
+    return { sent: false, error: error.message };
+  }
+}
+
+/**
+ * Cancel a command wherever it is: skipped if not yet dispatched, its webhook
+ * call aborted if in flight, and its workflow notified if it was dispatched in
+ * callback mode. The ledger is marked first, which is what keeps the
+ * in-flight path from writing Completed over the cancellation.
+ * @param {string} pageId
+ * @param {Object} options
+ * @param {string} options.via - 'notion' or 'admin_api'
+ * @param {string} [options.command] - Command name, for commands not yet in the ledger
+ * @param {Object} [options.meta] - Audit fields, for commands not yet in the ledger
+ * @returns {Promise<Object>} - The ledger entry
+ */
+async function cancelCommand(pageId, { via, command, meta }) {
+  const before = ledger.get(pageId);
+  if (before?.outcome) return before;
+
+  const stage = !before || !ACTIVE_STATUSES.includes(before.status) ? 'before_dispatch'
+    : before.status === 'Awaiting Callback' ? 'awaiting_callback' : 'in_flight';
+
+  const entry = await ledger.record(pageId, 'Cancelled', { command, meta, note: `Cancelled ${CANCELLED_VIA[via]}` });
+  inFlightCommands.get(pageId)?.abort();
+
+  const cancelledAt = entry.updatedAt;
+  let notes = {
+    before_dispatch: `Cancelled ${CANCELLED_VIA[via]} before dispatch at ${cancelledAt}`,
+    in_flight: `Cancelled ${CANCELLED_VIA[via]} during dispatch at ${cancelledAt}; webhook call aborted`,
+    awaiting_callback: `Cancelled ${CANCELLED_VIA[via]} at ${cancelledAt} while awaiting callback`,
+  }[stage];
+
+  let notice = null;
+  if (stage !== 'before_dispatch' && entry.meta.awaitCallback) {
+    notice = await sendCancellationNotice(entry);
+    notes += notice.sent ? '; cancellation notice sent' : `; cancellation notice failed: ${notice.error}`;
+    if (!notice.sent) {
+      log('warn', 'Cancellation notice failed', { pageId, route: entry.meta.route, error: notice.error });
+    }
+  }
+
+  await updateCommandStatus(pageId, 'Cancelled', notes);
+  await audit('cancelled', auditSubject(entry), {
+    via,
+    stage,
+    ...(notice && { notice_sent: notice.sent, notice_status: notice.status, notice_error: notice.error }),
+  });
+  metrics.commandsFinished.inc({ route: entry.meta.route || 'none', status: 'Cancelled' });
+  log('info', 'Cancelled command', { pageId, via, stage });
+  return entry;
+}
+
+/**
+ * Find unfinished Notion commands (active, awaiting approval, requeued or
+ * scheduled) a user has switched to Cancelled, and finish their ledger entries.
+ * Only pages edited since the oldest of them last changed are queried;
+ * last_edited_time is minute-granular, hence the one-minute margin.
+ */
+async function watchCancellations() {
+  const unfinished = ledger.entries()
+    .filter(e => !e.outcome && sourceNameOf(e.pageId) === NOTION_SOURCE);
+  if (unfinished.length === 0) return;
+
+  const oldest = Math.min(...unfinished.map(e => Date.parse(e.updatedAt)));
+  const pages = await fetchCommandsByStatus('Cancelled', {
+    editedSince: new Date(oldest - 60 * 1000).toISOString(),
+  });
+
+  for (const page of pages) {
+    const entry = ledger.get(page.id);
+    if (entry && !entry.outcome) {
+      await cancelCommand(page.id, { via: 'notion' });
+    }
+  }
+}
+
+// ============================================================
+// STARTUP RECOVERY
+// ============================================================
+
+// Ledger and source statuses of a command that was being dispatched
+const DISPATCHING_STATUSES = ['Processing', 'Retrying'];
+
+/**
+ * Reconcile one source's commands left in 'Processing' or 'Retrying' by a
+ * previous run: those the source shows in that state (Notion commands by
+ * their page status, others by their status in the command store), and those
+ * the ledger does. The ledger is written first, so a crash before the source
+ * was updated leaves a command in Deploy that is no longer claimable.
+ *
+ * If the ledger already holds an outcome, the process died before the source
+ * was updated and the outcome is written back. Otherwise the command is
+ * resumed or failed according to RECOVERY_POLICY. Commands in flight in this
+ * run are left alone, so this is safe to repeat.
+ * @param {Object} source - CommandSource
+ */
+async function recoverInterruptedCommands(source) {
+  const unfinished = ledger.entries()
+    .filter(entry => DISPATCHING_STATUSES.includes(entry.status) && sourceNameOf(entry.pageId) === source.name)
+    .map(entry => entry.pageId);
+  const commandIds = [...new Set([...await source.interrupted(), ...unfinished])]
+    .filter(commandId => !inFlightCommands.has(commandId));
+  if (commandIds.length === 0) return;
+
+  log('warn', 'Found commands interrupted mid-dispatch', { source: source.name, count: commandIds.length });
+
+  for (const commandId of commandIds) {
+    const entry = ledger.get(commandId);
+
+    if (entry?.outcome) {
+      await updateCommandStatus(
+        commandId,
+        entry.outcome,
+        `Recovered after restart: ${entry.outcome} at ${entry.updatedAt}`
+      );
+      log('info', 'Restored command outcome from ledger', { pageId: commandId, outcome: entry.outcome });
+      await audit('recovered', auditSubject(entry), { outcome: entry.outcome });
+      continue;
+    }
+
+    const attempts = entry?.attempts || 0;
+    if (config.recovery.policy === 'resume' && attempts < config.recovery.maxAttempts) {
+      await ledger.requeue(commandId, 'Resumed after restart');
+      await updateCommandStatus(
+        commandId,
+        'Deploy',
+        `Resumed after restart (attempt ${attempts + 1} of ${config.recovery.maxAttempts})`
+      );
+      log('info', 'Resumed interrupted command', { pageId: commandId, attempts });
+      await audit('requeued', auditSubject(ledger.get(commandId)), { reason: 'restart', attempts });
+    } else {
+      const reason = config.recovery.policy === 'resume'
+        ? `gave up after ${attempts} attempts`
+        : 'recovery policy is fail';
+      await ledger.record(commandId, 'Failed', { note: `Interrupted by restart; ${reason}` });
+      await updateCommandStatus(
+        commandId,
+        'Failed',
+        `Interrupted by restart mid-dispatch; ${reason}`
+      );
+      log('warn', 'Failed interrupted command', { pageId: commandId, attempts });
+      await audit('failed', auditSubject(ledger.get(commandId)), { reason: 'interrupted_by_restart', attempts });
+    }
+  }
+}
+
+// Sources whose startup recovery hasn't run to the end; each poll retries it
+const recoveryPending = new Set();
+
+let pollCount = 0;
+
+// Set through the admin API; a paused poller picks up no new commands
+let pollingPaused = false;
+
+// Set on SIGTERM / SIGINT; nothing new is picked up or dispatched after that
+let shuttingDown = false;
+
+// Delay before the next idle poll: POLL_INTERVAL after activity, doubling while idle
+let currentPollInterval = config.pollInterval;
+let pollTimer = null;
+let pollRunning = false;
+// Woken while a poll was running: poll again right after it
+let pollRequested = false;
+
+// Notion sends several events for one edit; a single poll covers them
+const WAKE_DELAY_MS = 250;
+
+function schedulePoll(delayMs) {
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(poll, delayMs);
+}
+
+/** Poll soon instead of waiting out the idle interval, e.g. after a Notion event */
+function wakePoller() {
+  // Not started yet: the first poll syncs anyway
+  if (shuttingDown || pollTimer === null) return;
+  if (pollRunning) {
+    pollRequested = true;
+    return;
+  }
+  schedulePoll(WAKE_DELAY_MS);
+}
+
+/**
+ * Milliseconds until something falls due that only a poll acts on: a
+ * recurring command's next run, a one-off command's Run At or a callback deadline
+ * @returns {number}
+ */
+function msUntilNextDue() {
+  const now = Date.now();
+  const times = [
+    ...ledger.entries().map(e => Date.parse(
+      e.status === 'Scheduled' ? e.meta.nextRunAt
+        : e.status === 'Awaiting Callback' ? e.meta.callbackDeadline
+          : null
+    )),
+    ...changeTracker.pages('Deploy').map(page => Date.parse(page.properties['Run At']?.date?.start)),
+  ].filter(time => time > now);
+  return times.length ? Math.min(...times) - now : Infinity;
+}
+
+/**
+ * Longest delay between idle polls. Nothing announces new queue files, so the
+ * queue directory keeps POLL_MAX_INTERVAL even with Notion webhook events.
+ * @returns {number}
+ */
+function idlePollCeiling() {
+  return config.notion.webhookSecret && !config.sources.queueDir
+    ? config.pollFallbackInterval
+    : config.pollMaxInterval;
+}
+
+/**
+ * Delay before the next poll. Activity resets it to POLL_INTERVAL; every idle
+ * poll doubles it, up to idlePollCeiling(). It never sleeps past something due.
+ * @param {boolean} active - The poll found changes, or picked up or deferred commands
+ * @returns {number}
+ */
+function nextPollDelay(active) {
+  currentPollInterval = active ? config.pollInterval : Math.min(currentPollInterval * 2, idlePollCeiling());
+  return Math.min(currentPollInterval, Math.max(msUntilNextDue(), config.pollInterval));
+}
+
+// A source's share of a poll that is still running (Notion retrying, say);
+// later polls don't start another or wait for it
+const sourcePolls = new Map();
+
+// Outcome of each source's last finished share of a poll
+const lastSourcePolls = new Map();
+
+/**
+ * One source's share of a poll: finish its startup recovery if still pending,
+ * then sync it and hand its new commands to the worker pool (for Notion, also
+ * create due scheduled runs). Errors are logged here, so a failing source
+ * can't stop the others.
+ * @param {Object} source - CommandSource
+ * @returns {Promise<{ source: string, active: boolean, failed: boolean }>}
+ */
+async function pollSource(source) {
+  const result = { source: source.name, active: false, failed: false };
+
+  if (recoveryPending.has(source.name)) {
+    try {
+      await recoverInterruptedCommands(source);
+      recoveryPending.delete(source.name);
+    } catch (error) {
+      result.failed = true;
+      log('error', 'Startup recovery failed; retrying on the next poll', { source: source.name, error: error.message });
+    }
+  }
+  if (pollingPaused) return result;
+
+  try {
+    const changed = source.sync ? await source.sync() : 0;
+    const { pickedUp, deferred } = await processCommands(source);
+    if (source === notionSource) await runDueSchedules();
+    result.active = changed > 0 || pickedUp > 0 || deferred > 0;
+  } catch (error) {
+    result.failed = true;
+    log('error', 'Command source poll failed', { source: source.name, error: error.message });
+  }
+  lastSourcePolls.set(source.name, result);
+  return result;
+}
+
+/**
+ * Poll a source unless its share of an earlier poll is still running
+ * @param {Object} source - CommandSource
+ * @returns {Promise<Object>} - pollSource result
+ */
+function startSourcePoll(source) {
+  if (!sourcePolls.has(source.name)) {
+    sourcePolls.set(source.name, pollSource(source).finally(() => sourcePolls.delete(source.name)));
+  }
+  return sourcePolls.get(source.name);
+}
+
+async function poll() {
+  if (shuttingDown) return;
+  pollRunning = true;
+  pollCount++;
+  const started = Date.now();
+  let active = false;
+
+  try {
+    // Side by side, and waiting no longer than POLL_INTERVAL for a slow source, so
+    // Notion retrying a failing request doesn't hold up the other sources
+    const results = await Promise.all(commandSources.sources.map(source => Promise.race([
+      startSourcePoll(source),
+      sleep(config.pollInterval).then(() => null),
+    ])));
+    await expireAwaitedCallbacks();
+    active = results.some(result => result?.active);
+
+    // One failing source doesn't stop the others, but the poll still counts as failed
+    const failedSources = commandSources.sources
+      .filter(source => lastSourcePolls.get(source.name)?.failed)
+      .map(source => source.name);
+    if (failedSources.length) throw new Error(`Polling failed for ${failedSources.join(', ')}`);
+    lastSuccessfulPollAt = Date.now();
+    metrics.polls.inc({ result: 'ok' });
+  } catch (error) {
+    metrics.polls.inc({ result: 'error' });
+    log('error', 'Polling error', { error: error.message });
+  }
+  metrics.pollDuration.observe((Date.now() - started) / 1000);
+
+  // Log heartbeat every 100 polls
+  if (pollCount % 100 === 0) {
+    log('info', 'Heartbeat', {
+      pollCount,
+      processedCommands: ledger.size,
+      pollInterval: currentPollInterval,
+      uptime: process.uptime(),
+    });
+  }
+
+  pollRunning = false;
+  if (shuttingDown) return;
+  schedulePoll(pollRequested ? WAKE_DELAY_MS : nextPollDelay(active));
+  pollRequested = false;
+}
+
+async function startPolling() {
+  log('info', 'Starting Notion watcher', {
+    commandsDbId: config.notion.commandsDbId,
+    pollInterval: config.pollInterval,
+    pollMaxInterval: idlePollCeiling(),
+    notionWebhooks: Boolean(config.notion.webhookSecret),
+    sources: commandSources.sources.map(source => source.name),
+  });
+
+  // The first poll recovers each source; one that can't be read is retried on later polls
+  for (const source of commandSources.sources) recoveryPending.add(source.name);
+
+  // Runs on its own timer: a poll can be busy with a slow dispatch for minutes
+  const watch = async () => {
+    try {
+      await watchCancellations();
+    } catch {
+      // Already logged by fetchCommandsByStatus
+    }
+    setTimeout(watch, config.cancellation.checkIntervalMs);
+  };
+
+  schedulePoll(0);
+  watch();
+}
+
+// ============================================================
+// NOTION WEBHOOK EVENTS
+// ============================================================
+
+/**
+ * Receive a Notion webhook event. Polling stays on as the fallback; an event
+ * only brings the page it names up to date in the change tracker and wakes
+ * the poller.
+ *
+ * The first request of a new subscription carries its verification token
+ * instead of an event. While NOTION_WEBHOOK_SECRET is unset, the token is
+ * logged so it can be confirmed in Notion and then configured.
+ */
+async function handleNotionWebhook(req, res) {
+  const rawBody = await readBody(req);
+  let body;
+  try {
+    body = JSON.parse(rawBody);
+  } catch {
+    return sendJson(res, 400, { error: 'invalid JSON' });
+  }
+
+  if (body.verification_token) {
+    if (config.notion.webhookSecret) {
+      log('warn', 'Notion webhook verification request received; NOTION_WEBHOOK_SECRET is already set, token not logged');
+    } else {
+      log('warn', 'Notion webhook verification token received: confirm it in Notion, then set NOTION_WEBHOOK_SECRET to it', {
+        verificationToken: body.verification_token,
+      });
+    }
+    return sendJson(res, 200, { received: true });
+  }
+
+  const signature = req.headers[NOTION_SIGNATURE_HEADER.toLowerCase()];
+  if (!config.notion.webhookSecret || !verifyNotionEvent(rawBody, signature, config.notion.webhookSecret)) {
+    metrics.notionEvents.inc({ type: 'unverified', result: 'rejected' });
+    log('warn', 'Rejected Notion webhook event', {
+      reason: config.notion.webhookSecret ? 'bad signature' : 'NOTION_WEBHOOK_SECRET not set',
+    });
+    return sendJson(res, 401, { error: 'invalid signature' });
+  }
+
+  // Acknowledge first: Notion retries events that aren't answered promptly
+  sendJson(res, 200, { received: true });
+
+  const type = String(body.type || 'unknown');
+  const applied = await applyNotionEvent(body);
+  metrics.notionEvents.inc({ type, result: applied ? 'applied' : 'ignored' });
+  if (applied) wakePoller();
+}
+
+/**
+ * Update the change tracker from a page event
+ * @param {Object} event - Verified Notion webhook event
+ * @returns {Promise<boolean>} - False for events about anything but Commands pages
+ */
+async function applyNotionEvent(event) {
+  if (event.entity?.type !== 'page' || !event.entity.id) return false;
+  const pageId = event.entity.id;
+
+  if (event.type === 'page.deleted') {
+    return changeTracker.remove(pageId);
+  }
+
+  // Events say what changed, not to what; the page itself is the source of truth
+  const page = await notion.pages.retrieve({ page_id: pageId });
+  if (normalizeNotionId(page.parent?.database_id) !== normalizeNotionId(config.notion.commandsDbId)) {
+    return false;
+  }
+  changeTracker.apply(page);
+  log('debug', 'Applied Notion webhook event', {
+    type: event.type,
+    pageId,
+    status: page.properties.Status?.select?.name,
+  });
+  return true;
+}
+
+// ============================================================
+// ADMIN API
+// ============================================================
+
+/**
+ * Check the request's `Authorization: Bearer <token>` against a configured
+ * token (ADMIN_TOKEN, INTAKE_TOKEN). Both sides are hashed first so the
+ * comparison is constant-time for any length.
+ */
+function hasBearerToken(req, token) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Re-dispatch a Failed, Dead Letter or Skipped command through the same path as the poller
+ */
+async function replayCommand(pageId) {
+  const entry = ledger.get(pageId);
+  if (inFlightCommands.has(pageId) || (entry && !entry.outcome && entry.status !== 'Requeued')) {
+    return { status: 409, body: { error: 'command is in progress' } };
+  }
+
+  const item = await commandSources.forCommand(pageId).get(pageId);
+  if (!item) {
+    return { status: 404, body: { error: 'unknown command' } };
+  }
+  const status = item.status;
+  if (!['Failed', 'Dead Letter', 'Skipped'].includes(status)) {
+    return {
+      status: 409,
+      body: { error: `only Failed, Dead Letter or Skipped commands can be replayed (status is ${status})` },
+    };
+  }
+
+  if (item.page) {
+    const dependencies = await evaluateCommandDependencies(item.page);
+    if (dependencies.state !== 'ready') {
+      return { status: 409, body: { error: describeDependencies(dependencies) } };
+    }
+  }
+
+  const requeued = await ledger.requeue(pageId, 'Replay requested via admin API');
+  await audit('replay_requested', auditSubject(requeued), {
+    via: 'admin_api',
+    previous_status: status,
+  });
+  log('info', 'Replaying command', { pageId, previousStatus: status });
+
+  // Dispatch can take minutes with retries; report progress through the ledger
+  processCommand(item).catch((error) => {
+    log('error', 'Replay failed', { pageId, error: error.message });
+  });
+  return { status: 202, body: { ok: true, pageId, status: 'Requeued' } };
+}
+
+/**
+ * Cancel a command that is queued in Deploy, in flight or awaiting a callback
+ */
+async function adminCancelCommand(pageId) {
+  const entry = ledger.get(pageId);
+  if (entry?.outcome) {
+    return { status: 409, body: { error: `command already ${entry.outcome}` } };
+  }
+
+  let command;
+  if (!entry || !ACTIVE_STATUSES.includes(entry.status)) {
+    const item = await commandSources.forCommand(pageId).get(pageId);
+    if (!item) {
+      return { status: 404, body: { error: 'unknown command' } };
+    }
+    if (!['Deploy', 'Scheduled', 'Awaiting Approval'].includes(item.status) && !inFlightCommands.has(pageId)) {
+      return { status: 409, body: { error: `only queued, scheduled, unapproved or active commands can be cancelled (status is ${item.status})` } };
+    }
+    command = item.command;
+  }
+
+  await cancelCommand(pageId, { via: 'admin_api', command });
+  return { status: 200, body: { ok: true, pageId, status: 'Cancelled' } };
+}
+
+/**
+ * Routes:
+ *   GET  /admin/commands?status=&limit=   Recent ledger entries, newest first
+ *   GET  /admin/commands/:pageId          One ledger entry with its history
+ *   POST /admin/commands/:pageId/replay   Re-dispatch a Failed, Dead Letter or Skipped command
+ *   POST /admin/commands/:pageId/cancel   Cancel a queued or active command
+ *   GET  /admin/polling                   Polling state
+ *   POST /admin/polling/pause|resume
+ */
+async function handleAdminRequest(req, res) {
+  if (!config.adminToken) {
+    return sendJson(res, 404, { error: 'admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+  if (!hasBearerToken(req, config.adminToken)) {
+    log('warn', 'Rejected admin request', { method: req.method, path: req.url.split('?')[0] });
+    return sendJson(res, 401, { error: 'unauthorized' });
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const commandMatch = /^\/admin\/commands\/([^/]+)(?:\/(replay|cancel))?$/.exec(url.pathname);
+  const action = commandMatch?.[2];
+  let pageId = null;
+  if (commandMatch) {
+    try {
+      pageId = decodeURIComponent(commandMatch[1]);
+    } catch {
+      return sendJson(res, 400, { error: 'malformed command id' });
+    }
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/commands') {
+    const status = url.searchParams.get('status');
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 500);
+    const commands = ledger.entries()
+      .filter(e => !status || e.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(0, limit);
+    return sendJson(res, 200, { count: commands.length, commands });
+  }
+
+  if (req.method === 'GET' && commandMatch && !action) {
+    const entry = ledger.get(pageId);
+    return entry
+      ? sendJson(res, 200, { ...entry, inFlight: inFlightCommands.has(pageId) })
+      : sendJson(res, 404, { error: 'no ledger entry for this id' });
+  }
+
+  if (req.method === 'POST' && action) {
+    const outcome = action === 'replay' ? await replayCommand(pageId) : await adminCancelCommand(pageId);
+    return sendJson(res, outcome.status, outcome.body);
+  }
+
+  if (req.method === 'GET' && url.pathname === '/admin/polling') {
+    return sendJson(res, 200, { paused: pollingPaused, pollCount, inFlight: inFlightCommands.size });
+  }
+
+  if (req.method === 'POST' && ['/admin/polling/pause', '/admin/polling/resume'].includes(url.pathname)) {
+    pollingPaused = url.pathname.endsWith('/pause');
+    log('info', pollingPaused ? 'Polling paused via admin API' : 'Polling resumed via admin API');
+    if (!pollingPaused) wakePoller();
+    return sendJson(res, 200, { paused: pollingPaused });
+  }
+
+  sendJson(res, 404, { error: 'unknown admin route' });
+}
+
+// ============================================================
+// COMMAND INTAKE
+// ============================================================
+
+const HTTP_SOURCE = 'http';
+
+/** What a submitter sees of a command submitted over HTTP */
+function describeSubmission(record) {
+  return {
+    id: record.id,
+    command: record.command,
+    entityId: record.entityId,
+    status: record.status,
+    notes: record.notes,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    history: record.history,
+    statusUrl: `/commands/${encodeURIComponent(record.id)}`,
+  };
+}
+
+/**
+ * Routes (`Authorization: Bearer <INTAKE_TOKEN>`):
+ *   POST /commands       Submit `{ command, entity_id?, payload?, id? }`; 202 with the command ID,
+ *                        200 with the existing command when `id` was submitted before
+ *   GET  /commands/:id   The command's status and history
+ *
+ * Submitted commands go through the same validation, routing and dispatch as
+ * Notion commands, at the next poll.
+ */
+async function handleIntakeRequest(req, res) {
+  if (!config.sources.intakeToken) {
+    return sendJson(res, 404, { error: 'command intake is disabled (INTAKE_TOKEN not set)' });
+  }
+  if (!hasBearerToken(req, config.sources.intakeToken)) {
+    log('warn', 'Rejected intake request', { method: req.method, path: req.url.split('?')[0] });
+    return sendJson(res, 401, { error: 'unauthorized' });
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const commandMatch = /^\/commands\/([^/]+)$/.exec(url.pathname);
+
+  if (req.method === 'POST' && url.pathname === '/commands') {
+    if (shuttingDown) {
+      return sendJson(res, 503, { error: 'shutting down' });
+    }
+    let body;
+    try {
+      body = JSON.parse(await readBody(req));
+    } catch {
+      return sendJson(res, 400, { error: 'body must be JSON' });
+    }
+    const submission = parseSubmission(body);
+    if (!submission.ok) {
+      return sendJson(res, 400, { error: submission.error });
+    }
+
+    const { created, record } = await commandSources.get(HTTP_SOURCE).submit(submission.value);
+    if (created) {
+      log('info', 'Command submitted', { id: record.id, source: HTTP_SOURCE, command: record.command });
+      wakePoller();
+    }
+    return sendJson(res, created ? 202 : 200, describeSubmission(record));
+  }
+
+  if (req.method === 'GET' && commandMatch) {
+    let id;
+    try {
+      id = decodeURIComponent(commandMatch[1]);
+    } catch {
+      return sendJson(res, 400, { error: 'malformed command id' });
+    }
+    const record = commandStore.get(id);
+    return record?.source === HTTP_SOURCE
+      ? sendJson(res, 200, describeSubmission(record))
+      : sendJson(res, 404, { error: 'no submitted command with this id' });
+  }
+
+  sendJson(res, 404, { error: 'unknown intake route' });
+}
+
+// ============================================================
+// HEALTH CHECK SERVER
+// ============================================================
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function startHealthServer() {
+  const server = http.createServer((req, res) => {
+    // Anything thrown here, outside the handlers' catch, would take the service down
+    let pathname;
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname;
+    } catch {
+      return sendJson(res, 400, { error: 'malformed request URL' });
+    }
+
+    if (req.method === 'POST' && pathname.startsWith('/callbacks/')) {
+      const encodedId = pathname.slice('/callbacks/'.length);
+      handleCallback(req, res, encodedId).catch((error) => {
+        log('error', 'Callback handling failed', { pageId: encodedId, error: error.message });
+        if (!res.headersSent) sendJson(res, 500, { error: 'internal error' });
+      });
+    } else if (req.method === 'POST' && req.url === '/notion/webhook') {
+      handleNotionWebhook(req, res).catch((error) => {
+        log('error', 'Notion webhook event failed', { error: error.message });
+        if (!res.headersSent) sendJson(res, 500, { error: 'internal error' });
+      });
+    } else if (/^\/commands(\/|\?|$)/.test(req.url)) {
+      handleIntakeRequest(req, res).catch((error) => {
+        log('error', 'Intake request failed', { path: req.url.split('?')[0], error: error.message });
+        if (!res.headersSent) sendJson(res, 500, { error: 'internal error' });
+      });
+    } else if (req.url.startsWith('/admin/')) {
+      handleAdminRequest(req, res).catch((error) => {
+        log('error', 'Admin request failed', { path: req.url.split('?')[0], error: error.message });
+        if (!res.headersSent) sendJson(res, error.status === 404 ? 404 : 500, { error: error.message });
+      });
+    } else if (req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(metricsRegistry.render());
+    } else if (req.url === '/' || req.url === '/health') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        status: 'healthy',
+        service: 'archonri-brain',
+        version: '1.0.0',
+        uptime: process.uptime(),
+        pollCount,
+        polling: shuttingDown ? 'draining' : pollingPaused ? 'paused' : 'running',
+        processedCommands: ledger.size,
+        timestamp: new Date().toISOString(),
+      }));
+    } else if (req.url === '/stats') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        pollCount,
+        // Counts only; per-command detail is behind the admin API
+        commandsByStatus: ledger.entries().reduce((counts, e) => {
+          counts[e.status] = (counts[e.status] || 0) + 1;
+          return counts;
+        }, {}),
+        workers: {
+          concurrency: config.workers.concurrency,
+          busy: workerPool.active,
+          queued: workerPool.queued,
+        },
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        watcher: {
+          pollInterval: currentPollInterval,
+          highWaterMark: changeTracker?.highWaterMark || null,
+          trackedCommands: changeTracker?.size || 0,
+          notionWebhooks: Boolean(config.notion.webhookSecret),
+        },
+        sources: {
+          enabled: commandSources?.sources.map(source => source.name) || [],
+          submittedCommands: commandStore?.size || 0,
+        },
+        config: {
+          pollInterval: config.pollInterval,
+          commandsDbId: config.notion.commandsDbId?.slice(0, 8) + '...',
+        },
       }));
     } else {
       res.writeHead(404);
@@ -311,10 +2421,118 @@ function startHealthServer() {
 // GRACEFUL SHUTDOWN
 // ============================================================
 
+// Extra time for aborted webhook calls to unwind before their commands are marked
+const SHUTDOWN_ABORT_GRACE_MS = 2000;
+
+let healthServer = null;
+
+/**
+ * Resolve once no command is in flight or the deadline has passed
+ * @param {number} deadline - Epoch milliseconds
+ */
+async function waitForInFlight(deadline) {
+  while (inFlightCommands.size && Date.now() < deadline) {
+    await sleep(100);
+  }
+}
+
+/**
+ * Abort commands still in flight at the drain deadline. Those that were
+ * already dispatching are marked interrupted in the ledger, Notion and the
+ * audit trail, and go back to Deploy when RECOVERY_POLICY=resume allows
+ * another attempt. Commands not dispatched yet stay in Deploy untouched.
+ */
+async function interruptInFlightCommands() {
+  const pageIds = [...inFlightCommands.keys()];
+  log('warn', 'Drain deadline reached; aborting in-flight commands', { count: pageIds.length });
+  for (const controller of inFlightCommands.values()) controller.abort();
+  await waitForInFlight(Date.now() + SHUTDOWN_ABORT_GRACE_MS);
+
+  for (const pageId of pageIds) {
+    const entry = ledger.get(pageId);
+    if (!entry || entry.outcome || !['Processing', 'Retrying'].includes(entry.status)) continue;
+
+    const attempts = entry.attempts || 0;
+    const interruptedAt = new Date().toISOString();
+    try {
+      if (config.recovery.policy === 'resume' && attempts < config.recovery.maxAttempts) {
+        await ledger.requeue(pageId, 'Interrupted by shutdown');
+        await updateCommandStatus(
+          pageId,
+          'Deploy',
+          `Interrupted by shutdown at ${interruptedAt}; webhook call aborted, will be retried (attempt ${attempts + 1} of ${config.recovery.maxAttempts})`
+        );
+        await audit('requeued', auditSubject(ledger.get(pageId)), { reason: 'shutdown', attempts });
+      } else {
+        await ledger.record(pageId, 'Failed', { note: 'Interrupted by shutdown' });
+        await updateCommandStatus(
+          pageId,
+          'Failed',
+          `Interrupted by shutdown at ${interruptedAt}; webhook call aborted`
+        );
+        await audit('failed', auditSubject(ledger.get(pageId)), { reason: 'interrupted_by_shutdown', attempts });
+      }
+      log('warn', 'Command interrupted by shutdown', { pageId, attempts });
+    } catch (error) {
+      // Left in Processing; startup recovery handles it on the next run
+      log('error', 'Failed to mark interrupted command', { pageId, error: error.message });
+    }
+  }
+}
+
+function closeServer(server) {
+  return new Promise((resolve) => {
+    server.close(() => resolve());
+    server.closeIdleConnections();
+  });
+}
+
+/**
+ * Stop picking up commands, give in-flight ones until SHUTDOWN_DRAIN_TIMEOUT_MS
+ * to finish, then close the HTTP server (kept open until now for callbacks)
+ * and flush the ledger, watcher state, command store, audit trail and logs.
+ * @param {string} signal
+ */
+async function drain(signal) {
+  shuttingDown = true;
+  log('info', 'Shutdown signal received; draining', {
+    signal,
+    inFlight: inFlightCommands.size,
+    drainTimeoutMs: config.shutdown.drainTimeoutMs,
+  });
+
+  await waitForInFlight(Date.now() + config.shutdown.drainTimeoutMs);
+  if (inFlightCommands.size) await interruptInFlightCommands();
+
+  if (healthServer) await closeServer(healthServer);
+  await ledger?.flush();
+  await changeTracker?.flush();
+  await commandStore?.flush();
+  await auditTrail?.flush();
+
+  log('info', 'Shutdown complete', { signal, uptime: process.uptime() });
+  await new Promise(resolve => process.stdout.write('', resolve));
+}
+
 function setupGracefulShutdown() {
   const shutdown = (signal) => {
-    log('info', 'Shutdown signal received', { signal });
-    process.exit(0);
+    if (shuttingDown) {
+      log('warn', 'Second shutdown signal; exiting without draining', { signal });
+      process.exit(1);
+    }
+    // Last resort if a Notion call hangs while draining
+    setTimeout(() => {
+      log('error', 'Shutdown did not finish in time; exiting');
+      process.exit(1);
+    }, config.shutdown.drainTimeoutMs + SHUTDOWN_ABORT_GRACE_MS + 10000).unref();
+
+    drain(signal).then(
+      () => process.exit(0),
+      (error) => {
+        log('error', 'Shutdown failed', { error: error.message });
+        process.exit(1);
+      }
+    );
   };
 
   process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -340,9 +2558,93 @@ async function main() {
   log('info', '========================================');
 
   setupGracefulShutdown();
-  startHealthServer();
 
-  // Test Notion connection
+  const routingConfig = config.n8n.routesFile ? await loadRoutingConfig(config.n8n.routesFile) : {};
+  router = createRouter(routingConfig, {
+    fallbackUrl: config.n8n.webhookUrl,
+    timeoutMs: config.n8n.timeoutMs,
+    awaitCallback: config.callbacks.awaitByDefault,
+  });
+  const callbackRoutes = [...router.routes, router.defaultRoute].filter(r => r?.awaitCallback);
+  if (callbackRoutes.length && !config.callbacks.baseUrl) {
+    throw new Error('PUBLIC_BASE_URL is required when routes await callbacks');
+  }
+  log('info', 'Routing table loaded', {
+    routes: router.routes.map(r => r.name),
+    defaultRoute: router.defaultRoute?.url || null,
+  });
+
+  approvalPolicy = config.approvalPolicyPath
+    ? await loadApprovalPolicy(config.approvalPolicyPath)
+    : createApprovalPolicy();
+  log('info', 'Approval policy loaded', { rules: approvalPolicy.rules.length });
+
+  schemaRegistry = await loadSchemaRegistry(config.schemaRegistryPath);
+  log('info', 'Payload schemas loaded', { commands: schemaRegistry.commands });
+
+  auditTrail = await openAuditTrail({
+    filePath: config.audit.logPath,
+    keyring: config.audit.keyring,
+    notion,
+    auditsDbId: config.notion.auditsDbId,
+    redactor: createRedactor({ key: config.audit.piiHashKey }),
+    onError: (error, entry) => log('error', 'Failed to write audit entry to Notion', {
+      event: entry.event,
+      pageId: entry.page_id,
+      error: error.message,
+    }),
+  });
+  log('info', 'Audit trail ready', {
+    logPath: config.audit.logPath,
+    notion: Boolean(config.notion.auditsDbId),
+  });
+
+  ledger = await openCommandLedger(config.ledger.path, { maxEntries: config.ledger.maxEntries });
+  log('info', 'Command ledger loaded', { path: config.ledger.path, entries: ledger.size });
+
+  changeTracker = await openChangeTracker({
+    filePath: config.watcher.statePath,
+    statuses: approvalPolicy.rules.length ? ['Deploy', 'Awaiting Approval'] : ['Deploy'],
+    query: filter => queryCommands(filter, { query: 'change tracker' }),
+    fullSyncIntervalMs: config.watcher.fullSyncIntervalMs,
+  });
+  log('info', 'Watcher state loaded', {
+    path: config.watcher.statePath,
+    highWaterMark: changeTracker.highWaterMark,
+    trackedCommands: changeTracker.size,
+  });
+
+  commandStore = await openCommandStore(config.sources.storePath, { maxEntries: config.ledger.maxEntries });
+  const sources = [notionSource];
+  if (config.sources.intakeToken) {
+    sources.push(createStoreSource({ name: HTTP_SOURCE, store: commandStore }));
+  }
+  if (config.sources.queueDir) {
+    sources.push(createQueueSource({ dir: config.sources.queueDir, store: commandStore }));
+  }
+  commandSources = createSourceRegistry(sources);
+  log('info', 'Command sources ready', {
+    sources: commandSources.sources.map(source => source.name),
+    submittedCommands: commandStore.size,
+    queueDir: config.sources.queueDir || null,
+  });
+
+  healthServer = startHealthServer();
+  if (!config.adminToken) {
+    log('warn', 'Admin API disabled (ADMIN_TOKEN not set)');
+  }
+
+  // Poll straight away: while Notion retries, the other sources keep working
+  // and only the Notion source's polls fail
+  startPolling();
+  checkNotionConnection();
+}
+
+/**
+ * Log whether the Commands database is reachable. Runs in the background
+ * at startup; nothing waits on it.
+ */
+async function checkNotionConnection() {
   try {
     const dbInfo = await notion.databases.retrieve({
       database_id: config.notion.commandsDbId,
@@ -354,8 +2656,6 @@ async function main() {
     log('error', 'Failed to connect to Notion', { error: error.message });
     log('warn', 'Continuing anyway - will retry on poll');
   }
-
-  startPolling();
 }
 
 main().catch((error) => {
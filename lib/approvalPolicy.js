@@ -0,0 +1,81 @@
+// lib/approvalPolicy.js
+import fs from 'fs/promises';
+import { matchesCommandName } from './commandRouter.js';
+
+/**
+ * Build an approval policy from its config.
+ *
+ * Config shape:
+ *   { "requireApproval": ["Wire Transfer", { "prefix": "License Application" }, { "regex": "^Close " }] }
+ *
+ * Entries are command-name matchers, as in the routing table.
+ *
+ * @param {Object} [policyConfig]
+ * @returns {{ rules: Array, requiresApproval: Function }}
+ */
+export function createApprovalPolicy(policyConfig = {}) {
+  const rules = policyConfig.requireApproval || [];
+  if (!Array.isArray(rules)) {
+    throw new Error('Approval policy: requireApproval must be an array of command matchers');
+  }
+
+  rules.forEach((rule, i) => {
+    if (rule === null || (typeof rule !== 'string' && typeof rule !== 'object')) {
+      throw new Error(`Approval policy: rule ${i} must be a command name or matcher object`);
+    }
+    if (rule.regex !== undefined) new RegExp(rule.regex, rule.flags || '');
+  });
+
+  return {
+    rules,
+
+    /**
+     * @param {string} commandName - Command name (the Notion `Name` title)
+     * @returns {boolean}
+     */
+    requiresApproval(commandName) {
+      return rules.some(rule => matchesCommandName(rule, commandName));
+    },
+  };
+}
+
+/**
+ * Load an approval policy file (JSON)
+ * @param {string} filePath
+ * @returns {Promise<Object>} - createApprovalPolicy result
+ */
+export async function loadApprovalPolicy(filePath) {
+  let policyConfig;
+  try {
+    policyConfig = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to load approval policy ${filePath}: ${err.message}`);
+  }
+  return createApprovalPolicy(policyConfig);
+}
+
+/**
+ * Decide whether a command carries a valid second-person approval.
+ *
+ * Notion doesn't record who set a property, so the approval must be the
+ * page's latest edit: `lastEditedBy` has to be one of the approvers and not
+ * the creator. Any later edit (including by the creator) voids the approval.
+ *
+ * @param {Object} identities
+ * @param {string} identities.createdBy - User ID of the page creator
+ * @param {string} identities.lastEditedBy - User ID of the page's last editor
+ * @param {string[]} identities.approvers - User IDs in `Approved By`
+ * @returns {{ approved: boolean, approver?: string, reason?: string }}
+ */
+export function checkApproval({ createdBy, lastEditedBy, approvers = [] }) {
+  if (approvers.length === 0) {
+    return { approved: false, reason: 'Approved By is empty' };
+  }
+  if (approvers.every(id => id === createdBy)) {
+    return { approved: false, reason: 'the creator cannot approve their own command' };
+  }
+  if (lastEditedBy === createdBy || !approvers.includes(lastEditedBy)) {
+    return { approved: false, reason: 'Approved By must be set by the approver, with no edits to the page since' };
+  }
+  return { approved: true, approver: lastEditedBy };
+}
@@ -0,0 +1,92 @@
+// lib/auditChain.js
+import crypto from 'crypto';
+import { verifySignature } from './verifySignature.js';
+import { toKeyring, parseSignature } from './keyring.js';
+import { canonicalizeBody } from './webhookSignature.js';
+import { canonicalJson } from './canonicalJson.js';
+
+/** Fields added after signing; everything else is covered by the signature */
+const UNSIGNED_FIELDS = ['signature', 'signed_at', 'entry_hash'];
+
+/**
+ * Hash of a signed entry (everything except `entry_hash` itself).
+ * The next entry in the same stream stores this as `prev_hash`. Entries
+ * signed before envelope version v2 were hashed with the older sorted-key
+ * serialization, which is kept for them.
+ * @param {Object} entry - Signed audit entry
+ * @returns {string} - SHA-256 hex
+ */
+export function computeEntryHash(entry) {
+  const { entry_hash: _ignored, ...rest } = entry;
+  const version = parseSignature(entry.signature)?.version;
+  const text = version === 'v2' ? canonicalJson(rest) : canonicalizeBody(rest);
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * The part of an entry the HMAC signature was computed over
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function signedPortion(entry) {
+  return Object.fromEntries(Object.entries(entry).filter(([k]) => !UNSIGNED_FIELDS.includes(k)));
+}
+
+/**
+ * Walk audit entries and check every stream's hash chain.
+ *
+ * Entries must be in log order. Within a stream, `seq` has to increase by
+ * exactly one, `prev_hash` has to equal the previous entry's hash, and each
+ * signature and `entry_hash` must check out.
+ *
+ * @param {Object[]} entries - Parsed audit entries
+ * @param {Object|string} keyring - createKeyring result holding every key the
+ *   entries may have been signed with (or a bare secret)
+ * @returns {{ ok: boolean, checked: number, streams: number, problems: Object[] }}
+ *   problems hold the first failure per stream: `{ stream, seq, index, type, message }`
+ */
+export function verifyAuditChain(entries, keyring) {
+  const ring = toKeyring(keyring);
+  const heads = new Map();
+  const failedStreams = new Set();
+  const problems = [];
+
+  entries.forEach((entry, index) => {
+    const stream = entry.stream;
+    if (failedStreams.has(stream)) return;
+
+    const fail = (type, message) => {
+      problems.push({ stream, seq: entry.seq, index, type, message });
+      failedStreams.add(stream);
+    };
+
+    if (!verifySignature(signedPortion(entry), entry.signature, ring)) {
+      const signature = parseSignature(entry.signature);
+      if (!signature) return fail('bad_signature', 'signature is missing or malformed');
+      if (signature.keyId && !ring.get(signature.keyId)) {
+        return fail('unknown_key', `signed with key '${signature.keyId}', which is not in the keyring`);
+      }
+      return fail('bad_signature', 'signature does not match entry contents');
+    }
+    if (entry.entry_hash !== computeEntryHash(entry)) {
+      return fail('bad_hash', 'entry_hash does not match entry contents');
+    }
+
+    const head = heads.get(stream);
+    const expectedSeq = head ? head.seq + 1 : 1;
+    if (entry.seq > expectedSeq) {
+      return fail('gap', `expected seq ${expectedSeq}, found ${entry.seq} (${entry.seq - expectedSeq} missing)`);
+    }
+    if (entry.seq < expectedSeq) {
+      return fail('out_of_order', `expected seq ${expectedSeq}, found ${entry.seq} (duplicate or reordered)`);
+    }
+    if (entry.prev_hash !== (head ? head.hash : null)) {
+      return fail('broken_link', 'prev_hash does not match the previous entry in this stream');
+    }
+
+    heads.set(stream, { seq: entry.seq, hash: entry.entry_hash });
+  });
+
+  const streams = new Set(entries.map(e => e.stream)).size;
+  return { ok: problems.length === 0, checked: entries.length, streams, problems };
+}
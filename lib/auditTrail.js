@@ -0,0 +1,177 @@
+// lib/auditTrail.js
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { createSignedAudit } from './signAudit.js';
+import { computeEntryHash } from './auditChain.js';
+import { createRedactor } from './redactPII.js';
+import { canonicalJson } from './canonicalJson.js';
+import { toRichText, fitsRichText } from './notionText.js';
+
+/**
+ * SHA-256 of a payload's canonical JSON, so key order doesn't change the hash
+ * @param {Object} payload
+ * @returns {string}
+ */
+export function hashPayload(payload) {
+  return crypto.createHash('sha256').update(canonicalJson(payload ?? {}), 'utf8').digest('hex');
+}
+
+/**
+ * Read the last seq and hash of every stream from an existing audit log
+ * @param {string} filePath
+ * @returns {Promise<Map<string, {seq: number, hash: string}>>}
+ */
+async function loadChainHeads(filePath) {
+  const heads = new Map();
+  try {
+    await fs.access(filePath);
+  } catch {
+    return heads;
+  }
+
+  const lines = readline.createInterface({ input: createReadStream(filePath), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.stream !== undefined) heads.set(entry.stream, { seq: entry.seq, hash: entry.entry_hash });
+    } catch {
+      // A torn final line from a crash; the verifier reports it
+    }
+  }
+  return heads;
+}
+
+/**
+ * Open the command lifecycle audit trail.
+ *
+ * Every entry is PII-redacted, signed with the HMAC key and appended to a
+ * local JSONL file before `record` resolves. When an Audits database is
+ * configured the entry is also written to Notion in the background; call
+ * `flush()` to wait for those writes.
+ *
+ * Entries are hash-chained per stream (the correlation ID, else the page ID):
+ * each carries `seq`, the `prev_hash` of the stream's previous entry and its
+ * own `entry_hash`, so deleted or reordered records are detectable with
+ * verifyAuditChain. Chain heads are restored from the file on open.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Append-only JSONL file
+ * @param {Object|string} options.keyring - Signing keys for createSignedAudit (createKeyring result)
+ * @param {Object} [options.notion] - Notion access layer (createNotionAccess)
+ * @param {string} [options.auditsDbId] - Notion Audits database ID
+ * @param {Function} [options.onError] - Called with `(error, entry)` when a Notion write fails
+ * @param {Object} [options.redactor] - createRedactor result applied to event details
+ * @returns {Promise<{ record: Function, flush: Function }>}
+ */
+export async function openAuditTrail({
+  filePath,
+  keyring,
+  notion,
+  auditsDbId,
+  onError,
+  redactor = createRedactor(),
+}) {
+  const heads = await loadChainHeads(filePath);
+  let fileChain = Promise.resolve();
+  const pendingNotionWrites = new Set();
+
+  function appendToFile(line) {
+    fileChain = fileChain.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.appendFile(filePath, line + '\n');
+    });
+    return fileChain;
+  }
+
+  async function writeToNotion(entry) {
+    // A truncated Entry could no longer be verified, so don't write one
+    const entryJson = JSON.stringify(entry);
+    if (!fitsRichText(entryJson)) {
+      throw new Error(`Entry is ${entryJson.length} characters, more than a Notion rich_text property holds`);
+    }
+
+    await notion.pages.create({
+      parent: { database_id: auditsDbId },
+      properties: {
+        Name: { title: [{ text: { content: `${entry.event} — ${entry.command || entry.page_id}` } }] },
+        Event: { select: { name: entry.event } },
+        'Page ID': { rich_text: [{ text: { content: entry.page_id } }] },
+        'Correlation ID': { rich_text: [{ text: { content: entry.correlation_id || '' } }] },
+        'Payload Hash': { rich_text: [{ text: { content: entry.payload_hash || '' } }] },
+        Signature: { rich_text: [{ text: { content: entry.signature } }] },
+        Stream: { rich_text: [{ text: { content: entry.stream } }] },
+        Seq: { number: entry.seq },
+        'Entry Hash': { rich_text: [{ text: { content: entry.entry_hash } }] },
+        Entry: { rich_text: toRichText(entryJson) },
+      },
+    }, {
+      // A write that failed without a response may still have added the row
+      findExisting: async () => {
+        const { results } = await notion.databases.query({
+          database_id: auditsDbId,
+          filter: { property: 'Entry Hash', rich_text: { equals: entry.entry_hash } },
+          page_size: 1,
+        });
+        return results[0] || null;
+      },
+    });
+  }
+
+  return {
+    /**
+     * Record one lifecycle event for a command
+     * @param {string} event - e.g. 'picked_up', 'dispatched', 'completed'
+     * @param {Object} subject
+     * @param {string} subject.pageId - Notion page ID of the command
+     * @param {string} [subject.command] - Command name
+     * @param {string} [subject.correlationId]
+     * @param {string} [subject.payloadHash] - From hashPayload
+     * @param {Object} [details] - Event-specific data; PII is redacted
+     * @returns {Promise<Object>} - The signed entry
+     */
+    async record(event, subject, details = {}) {
+      // Claim the next link synchronously so concurrent records can't fork a stream
+      const stream = subject.correlationId || subject.pageId;
+      const head = heads.get(stream);
+
+      const entry = createSignedAudit({
+        stream,
+        seq: head ? head.seq + 1 : 1,
+        prev_hash: head ? head.hash : null,
+        event,
+        page_id: subject.pageId,
+        command: subject.command || null,
+        correlation_id: subject.correlationId || null,
+        payload_hash: subject.payloadHash || null,
+        details: redactor.redact(details).value,
+        recorded_at: new Date().toISOString(),
+      }, keyring);
+      entry.entry_hash = computeEntryHash(entry);
+      heads.set(stream, { seq: entry.seq, hash: entry.entry_hash });
+
+      await appendToFile(JSON.stringify(entry));
+
+      if (notion && auditsDbId) {
+        const write = writeToNotion(entry)
+          .catch(error => onError?.(error, entry))
+          .finally(() => pendingNotionWrites.delete(write));
+        pendingNotionWrites.add(write);
+      }
+
+      return entry;
+    },
+
+    /**
+     * Wait for the file and all queued Notion writes to finish
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await fileChain.catch(() => {});
+      await Promise.all([...pendingNotionWrites]);
+    },
+  };
+}
@@ -0,0 +1,81 @@
+// lib/canonicalJson.js
+
+/**
+ * Identifies this canonical form; prompt hashes carry it as a prefix (see
+ * computePromptHash). Bump it if the rules below ever change, so hashes made
+ * under the old rules can still be recomputed.
+ */
+export const CANONICAL_JSON_VERSION = 'c1';
+
+/**
+ * Serialize a value to canonical JSON, so equal data always produces the
+ * same bytes regardless of key order or where it has been round-tripped:
+ *
+ * - object keys sorted by UTF-16 code units, at every level
+ * - strings and keys normalized to Unicode NFC
+ * - numbers in JavaScript's shortest round-trip form, with -0 written as 0;
+ *   NaN, Infinity and BigInt are rejected rather than silently changed
+ * - Dates written as ISO 8601 strings; other objects with toJSON use it
+ * - undefined (and functions, symbols) omitted from objects and written as
+ *   null inside arrays, as JSON.stringify does; rejected at the top level
+ *
+ * @param {*} value
+ * @returns {string}
+ * @throws {TypeError} - For values with no canonical JSON form
+ */
+export function canonicalJson(value) {
+  if (isOmitted(value)) throw new TypeError(`canonicalJson: cannot serialize ${typeof value}`);
+  return serialize(value, '$', new Set());
+}
+
+function isOmitted(value) {
+  return value === undefined || typeof value === 'function' || typeof value === 'symbol';
+}
+
+function serialize(value, path, ancestors) {
+  if (value === null) return 'null';
+
+  switch (typeof value) {
+    case 'string':
+      return JSON.stringify(value.normalize('NFC'));
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      if (!Number.isFinite(value)) throw new TypeError(`canonicalJson: ${value} at ${path} is not valid JSON`);
+      return Object.is(value, -0) ? '0' : JSON.stringify(value);
+    case 'bigint':
+      throw new TypeError(`canonicalJson: BigInt at ${path}; convert it to a string first`);
+    default:
+      break;
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new TypeError(`canonicalJson: invalid Date at ${path}`);
+    return JSON.stringify(value.toISOString());
+  }
+  if (typeof value.toJSON === 'function') {
+    return serialize(value.toJSON(), path, ancestors);
+  }
+
+  if (ancestors.has(value)) throw new TypeError(`canonicalJson: circular reference at ${path}`);
+  ancestors.add(value);
+  try {
+    if (Array.isArray(value)) {
+      const items = value.map((item, i) => (isOmitted(item) ? 'null' : serialize(item, `${path}[${i}]`, ancestors)));
+      return `[${items.join(',')}]`;
+    }
+
+    const members = new Map();
+    for (const [rawKey, item] of Object.entries(value)) {
+      if (isOmitted(item)) continue;
+      const key = rawKey.normalize('NFC');
+      if (members.has(key)) throw new TypeError(`canonicalJson: keys at ${path} collide after Unicode normalization`);
+      members.set(key, serialize(item, `${path}.${key}`, ancestors));
+    }
+    // Default sort compares UTF-16 code units
+    const keys = [...members.keys()].sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${members.get(key)}`).join(',')}}`;
+  } finally {
+    ancestors.delete(value);
+  }
+}
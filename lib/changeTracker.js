@@ -0,0 +1,176 @@
+// lib/changeTracker.js
+import fs from 'fs/promises';
+import path from 'path';
+
+const STATE_VERSION = 1;
+
+// Notion rounds last_edited_time down to the minute
+const EDIT_TIME_GRANULARITY_MS = 60 * 1000;
+
+function statusOf(page) {
+  return page.properties?.Status?.select?.name || null;
+}
+
+/**
+ * Open (or create) an incremental view of the Commands database: the pages
+ * currently in one of the watched statuses.
+ *
+ * The first sync queries every watched status in full. After that, each sync
+ * only asks Notion for pages edited since the high-water mark (the start of
+ * the last successful sync, less `marginMs` for clock skew, rounded down to
+ * Notion's minute granularity) and moves them into or out of the view by
+ * their current status. A full query runs again every `fullSyncIntervalMs`
+ * to catch anything an edit filter can't see, such as deleted pages.
+ *
+ * The high-water mark and the view are saved to `filePath` after every sync
+ * (temp file + rename), so a restart carries on incrementally.
+ *
+ * @param {Object} options
+ * @param {string} options.filePath - Location of the state file
+ * @param {string[]} options.statuses - Status values whose pages are kept
+ * @param {Function} options.query - `(filter) => Promise<Object[]>`, all matching Commands pages
+ * @param {number} [options.marginMs=60000] - Subtracted from the high-water mark
+ * @param {number} [options.fullSyncIntervalMs=900000] - Time between full queries (0: only when there is no state)
+ * @returns {Promise<Object>} - Tracker API
+ */
+export async function openChangeTracker({
+  filePath,
+  statuses,
+  query,
+  marginMs = 60 * 1000,
+  fullSyncIntervalMs = 15 * 60 * 1000,
+}) {
+  const pages = new Map();
+  let highWaterMark = null;
+  let lastFullSyncAt = 0;
+
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    // A different set of statuses needs a full query before the view is complete
+    if ([...data.statuses].sort().join('|') === [...statuses].sort().join('|')) {
+      for (const page of Object.values(data.pages || {})) pages.set(page.id, page);
+      highWaterMark = data.highWaterMark || null;
+      lastFullSyncAt = Date.parse(data.lastFullSyncAt) || 0;
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to load watcher state ${filePath}: ${err.message}`);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+
+  function persist() {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      const data = {
+        version: STATE_VERSION,
+        statuses,
+        highWaterMark,
+        lastFullSyncAt: lastFullSyncAt ? new Date(lastFullSyncAt).toISOString() : null,
+        pages: Object.fromEntries(pages),
+      };
+      const tmpPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(data));
+      await fs.rename(tmpPath, filePath);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Put a page into the view, or take it out if its status isn't watched
+   * @param {Object} page - Notion page
+   * @returns {boolean} - Whether the view changed
+   */
+  function apply(page) {
+    const known = pages.get(page.id);
+    if (!statuses.includes(statusOf(page))) {
+      return pages.delete(page.id);
+    }
+    pages.set(page.id, page);
+    return !known ||
+      known.last_edited_time !== page.last_edited_time ||
+      JSON.stringify(known.properties) !== JSON.stringify(page.properties);
+  }
+
+  async function fullSync() {
+    const results = [];
+    for (const status of statuses) {
+      results.push(...await query({ property: 'Status', select: { equals: status } }));
+    }
+    const seen = new Set(results.map(page => page.id));
+    let changed = 0;
+    for (const id of [...pages.keys()]) {
+      if (!seen.has(id) && pages.delete(id)) changed++;
+    }
+    for (const page of results) {
+      if (apply(page)) changed++;
+    }
+    return changed;
+  }
+
+  async function incrementalSync() {
+    const since = Date.parse(highWaterMark) - marginMs;
+    const results = await query({
+      timestamp: 'last_edited_time',
+      last_edited_time: {
+        on_or_after: new Date(since - (since % EDIT_TIME_GRANULARITY_MS)).toISOString(),
+      },
+    });
+    return results.filter(apply).length;
+  }
+
+  return {
+    /**
+     * Bring the view up to date with Notion
+     * @param {Object} [options]
+     * @param {boolean} [options.full=false] - Query every watched status in full
+     * @returns {Promise<{ full: boolean, changed: number }>} - Pages added, updated or removed
+     */
+    async sync({ full = false } = {}) {
+      const startedAt = Date.now();
+      const isFull = full || !highWaterMark ||
+        (fullSyncIntervalMs > 0 && startedAt - lastFullSyncAt >= fullSyncIntervalMs);
+
+      const changed = isFull ? await fullSync() : await incrementalSync();
+      highWaterMark = new Date(startedAt).toISOString();
+      if (isFull) lastFullSyncAt = startedAt;
+      await persist();
+      return { full: isFull, changed };
+    },
+
+    apply,
+
+    /**
+     * Take a page out of the view (e.g. deleted in Notion)
+     * @param {string} pageId
+     * @returns {boolean} - Whether it was in the view
+     */
+    remove(pageId) {
+      return pages.delete(pageId);
+    },
+
+    /**
+     * Pages in a status, oldest first
+     * @param {string} status
+     * @returns {Object[]}
+     */
+    pages(status) {
+      return [...pages.values()]
+        .filter(page => statusOf(page) === status)
+        .sort((a, b) => a.created_time.localeCompare(b.created_time));
+    },
+
+    get highWaterMark() {
+      return highWaterMark;
+    },
+
+    get size() {
+      return pages.size;
+    },
+
+    flush() {
+      return writeChain;
+    },
+  };
+}
@@ -0,0 +1,140 @@
+// lib/commandLedger.js
+import fs from 'fs/promises';
+import path from 'path';
+
+/** Statuses after which a command is never dispatched again on its own */
+export const TERMINAL_STATUSES = ['Completed', 'Failed', 'Dead Letter', 'Cancelled', 'Skipped'];
+
+const LEDGER_VERSION = 1;
+const MAX_HISTORY = 50;
+
+/**
+ * Open (or create) the durable command ledger.
+ *
+ * The ledger is a single JSON file rewritten atomically (temp file + rename)
+ * after every transition, so a crash leaves either the old or the new state.
+ *
+ * @param {string} filePath - Location of the ledger file
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=5000] - Terminal entries kept before pruning the oldest
+ * @returns {Promise<Object>} - Ledger API
+ */
+export async function openCommandLedger(filePath, { maxEntries = 5000 } = {}) {
+  const entries = new Map();
+
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    const data = JSON.parse(content);
+    for (const entry of Object.values(data.entries || {})) {
+      entries.set(entry.pageId, entry);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to load command ledger ${filePath}: ${err.message}`);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+
+  function prune() {
+    const terminal = [...entries.values()]
+      .filter(e => e.outcome)
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    while (entries.size > maxEntries && terminal.length) {
+      entries.delete(terminal.shift().pageId);
+    }
+  }
+
+  function persist() {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      prune();
+      const data = { version: LEDGER_VERSION, entries: Object.fromEntries(entries) };
+      const tmpPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    });
+    return writeChain;
+  }
+
+  /**
+   * Record a status transition for a command and persist the ledger
+   * @param {string} pageId - Notion page ID of the command
+   * @param {string} status - New status (e.g. 'Processing', 'Completed')
+   * @param {Object} [details]
+   * @param {string} [details.note] - Free-text note stored in the history
+   * @param {string} [details.command] - Command name, kept on the entry
+   * @param {boolean} [details.attempt] - Count this transition as a new dispatch attempt
+   * @param {Object} [details.meta] - Fields merged into the entry's `meta` (e.g. deadlines)
+   * @returns {Promise<Object>} - The updated entry
+   */
+  async function record(pageId, status, { note, command, attempt = false, meta } = {}) {
+    const now = new Date().toISOString();
+    const entry = entries.get(pageId) || {
+      pageId,
+      command: null,
+      attempts: 0,
+      status: null,
+      outcome: null,
+      meta: {},
+      createdAt: now,
+      updatedAt: now,
+      history: [],
+    };
+
+    if (command) entry.command = command;
+    if (attempt) entry.attempts++;
+    if (meta) entry.meta = { ...entry.meta, ...meta };
+    entry.status = status;
+    entry.outcome = TERMINAL_STATUSES.includes(status) ? status : null;
+    entry.updatedAt = now;
+    entry.history.push({ status, at: now, ...(note && { note }) });
+    if (entry.history.length > MAX_HISTORY) {
+      entry.history.splice(0, entry.history.length - MAX_HISTORY);
+    }
+
+    entries.set(pageId, entry);
+    await persist();
+    return entry;
+  }
+
+  return {
+    record,
+
+    get(pageId) {
+      return entries.get(pageId) || null;
+    },
+
+    /**
+     * Whether a command may be picked up: never seen, or explicitly requeued
+     * @param {string} pageId
+     * @returns {boolean}
+     */
+    isClaimable(pageId) {
+      const entry = entries.get(pageId);
+      return !entry || entry.status === 'Requeued';
+    },
+
+    /**
+     * Mark a command as eligible for dispatch again, keeping its attempt count
+     * @param {string} pageId
+     * @param {string} [note]
+     * @returns {Promise<Object>}
+     */
+    requeue(pageId, note) {
+      return record(pageId, 'Requeued', { note });
+    },
+
+    entries() {
+      return [...entries.values()];
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    flush() {
+      return writeChain;
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// lib/commandRouter.js
+import fs from 'fs/promises';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Replace ${VAR} references with environment values
+ * @param {string} value - Template string
+ * @param {string} where - Location used in error messages
+ * @returns {string}
+ */
+function interpolateEnv(value, where) {
+  return String(value).replace(/\$\{(\w+)\}/g, (_, name) => {
+    if (process.env[name] === undefined) {
+      throw new Error(`${where} references unset environment variable ${name}`);
+    }
+    return process.env[name];
+  });
+}
+
+/**
+ * Test a command name against a matcher.
+ * A plain string is an exact match; objects may use `exact`, `prefix` or `regex` (+ `flags`).
+ * @param {string|Object} matcher
+ * @param {string} name - Command name (the Notion `Name` title)
+ * @returns {boolean}
+ */
+export function matchesCommandName(matcher, name) {
+  if (matcher === undefined || matcher === null) return true;
+  if (typeof matcher === 'string') return name === matcher;
+  if (matcher.exact !== undefined) return name === matcher.exact;
+  if (matcher.prefix !== undefined) return name.startsWith(matcher.prefix);
+  if (matcher.regex !== undefined) return new RegExp(matcher.regex, matcher.flags || '').test(name);
+  return false;
+}
+
+function getField(obj, fieldPath) {
+  return fieldPath.split('.').reduce((o, key) => (o == null ? undefined : o[key]), obj);
+}
+
+/**
+ * Test payload fields. Each key is a dot path; the value is either the expected
+ * value, an array of allowed values, or `{ regex }` for string fields.
+ * @param {Object} [matcher]
+ * @param {Object} payload - Parsed command payload
+ * @returns {boolean}
+ */
+export function matchesPayload(matcher, payload) {
+  if (!matcher) return true;
+  return Object.entries(matcher).every(([fieldPath, expected]) => {
+    const actual = getField(payload, fieldPath);
+    if (Array.isArray(expected)) return expected.includes(actual);
+    if (expected && typeof expected === 'object' && expected.regex !== undefined) {
+      return typeof actual === 'string' && new RegExp(expected.regex, expected.flags || '').test(actual);
+    }
+    return actual === expected;
+  });
+}
+
+function normalizeRoute(route, index, defaults) {
+  const name = route.name || (index === null ? 'default' : `route-${index}`);
+  const where = `Route '${name}'`;
+  if (!route.url) throw new Error(`${where} has no url`);
+
+  // Validate regexes up front rather than on the first matching command
+  for (const m of [route.match?.command, ...Object.values(route.match?.payload || {})]) {
+    if (m && typeof m === 'object' && m.regex !== undefined) new RegExp(m.regex, m.flags || '');
+  }
+
+  return {
+    ...route,
+    name,
+    url: interpolateEnv(route.url, where),
+    headers: Object.fromEntries(
+      Object.entries(route.headers || {}).map(([k, v]) => [k, interpolateEnv(v, `${where} header ${k}`)])
+    ),
+    // Where cancellation notices go for callback routes; defaults to `url`
+    cancelUrl: route.cancelUrl ? interpolateEnv(route.cancelUrl, `${where} cancelUrl`) : null,
+    timeoutMs: route.timeoutMs ?? defaults.timeoutMs,
+    awaitCallback: route.awaitCallback ?? defaults.awaitCallback,
+  };
+}
+
+/**
+ * Build a router from a routing config.
+ *
+ * Config shape:
+ *   { routes: [{ name, match: { command, payload }, url, headers, timeoutMs, retry, awaitCallback, cancelUrl }],
+ *     default: { url, ... } }
+ *
+ * Routes are tried in order; the first match wins, then the default route.
+ *
+ * @param {Object} routingConfig
+ * @param {Object} [options]
+ * @param {string} [options.fallbackUrl] - Default route URL when the config has none
+ * @param {number} [options.timeoutMs=30000] - Timeout for routes that don't set one
+ * @param {boolean} [options.awaitCallback=false] - Callback mode for routes that don't set it
+ * @returns {{ routes: Object[], defaultRoute: Object|null, resolve: Function, byName: Function }}
+ */
+export function createRouter(
+  routingConfig = {},
+  { fallbackUrl, timeoutMs = DEFAULT_TIMEOUT_MS, awaitCallback = false } = {}
+) {
+  const defaults = { timeoutMs, awaitCallback };
+  const routes = (routingConfig.routes || []).map((r, i) => normalizeRoute(r, i, defaults));
+
+  let defaultRoute = null;
+  if (routingConfig.default) {
+    defaultRoute = normalizeRoute({ name: 'default', ...routingConfig.default }, null, defaults);
+  } else if (fallbackUrl) {
+    defaultRoute = normalizeRoute({ name: 'default', url: fallbackUrl }, null, defaults);
+  }
+
+  return {
+    routes,
+    defaultRoute,
+
+    /**
+     * Find the route for a command
+     * @param {Object} commandData - Output of extractCommandData
+     * @returns {Object|null} - Matching route, or null when nothing (not even a default) applies
+     */
+    resolve(commandData) {
+      const match = routes.find(r =>
+        matchesCommandName(r.match?.command, commandData.command) &&
+        matchesPayload(r.match?.payload, commandData.parsedPayload || {})
+      );
+      return match || defaultRoute;
+    },
+
+    /**
+     * Look up a route by the name recorded in the ledger
+     * @param {string} name
+     * @returns {Object|null}
+     */
+    byName(name) {
+      return routes.find(r => r.name === name) || (defaultRoute?.name === name ? defaultRoute : null);
+    },
+  };
+}
+
+/**
+ * Load a routing config file (JSON)
+ * @param {string} filePath
+ * @returns {Promise<Object>}
+ */
+export async function loadRoutingConfig(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to load routing config ${filePath}: ${err.message}`);
+  }
+}
@@ -0,0 +1,225 @@
+// lib/commandSources.js
+import crypto from 'crypto';
+import { hashPayload } from './auditTrail.js';
+
+/**
+ * A command source: where commands come from, and where their status goes.
+ * Every source feeds the same pipeline (validation, routing, dispatch,
+ * ledger, audit); only intake and status reporting differ.
+ *
+ * @typedef {Object} CommandSource
+ * @property {string} name - Unique; prefixes the source's command IDs (`<name>:<id>`), except 'notion'
+ * @property {boolean} notionFeatures - Approvals, dependencies, schedules and entity links (Notion pages only)
+ * @property {Function} [sync] - `() => Promise<number>`: take in new commands, resolving to how many changed
+ * @property {Function} pending - `() => Object[]`: commands waiting in Deploy, as
+ *   `{ id, source, createdTime, entityId, due }` items, oldest first
+ * @property {Function} interrupted - `() => Promise<string[]>`: IDs of commands the source shows in
+ *   Processing or Retrying, for restart recovery
+ * @property {Function} load - `(item) => Promise<Object>`: the command data the pipeline works on
+ * @property {Function} get - `(id) => Promise<Object|null>`: one command as an item with its `status` and `command`
+ * @property {Function} reportStatus - `(id, status, notes, extraProperties) => Promise<void>`: tell
+ *   the submitter about a transition
+ * @property {Function} isCancelled - `(id) => Promise<boolean>`: cancelled by the submitter
+ */
+
+/** The source of command IDs without a prefix */
+export const NOTION_SOURCE = 'notion';
+
+// Local IDs are chosen by submitters and end up in URLs and file names
+const LOCAL_ID_PATTERN = /^[A-Za-z0-9_.-]{1,100}$/;
+
+// Fields that only mean something on a Notion page
+const NOTION_ONLY_FIELDS = ['schedule', 'run_at', 'depends_on', 'approved_by'];
+
+/**
+ * Command ID for a source's local ID, e.g. `http:3f2a...`
+ * @param {string} sourceName
+ * @param {string} localId
+ * @returns {string}
+ */
+export function commandIdFor(sourceName, localId) {
+  return sourceName === NOTION_SOURCE ? localId : `${sourceName}:${localId}`;
+}
+
+/**
+ * Name of the source a command ID belongs to. Notion page IDs have no prefix.
+ * @param {string} commandId
+ * @returns {string}
+ */
+export function sourceNameOf(commandId) {
+  const separator = String(commandId).indexOf(':');
+  return separator > 0 ? commandId.slice(0, separator) : NOTION_SOURCE;
+}
+
+/**
+ * Check a command submitted as JSON:
+ * `{ command, entity_id?, payload?, id? }`. `id` makes resubmission idempotent.
+ * @param {*} input
+ * @returns {{ ok: true, value: Object } | { ok: false, error: string }}
+ */
+export function parseSubmission(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { ok: false, error: 'a command must be a JSON object' };
+  }
+
+  const errors = [];
+  if (typeof input.command !== 'string' || !input.command.trim()) {
+    errors.push('command must be a non-empty string');
+  }
+  if (input.entity_id != null && typeof input.entity_id !== 'string') {
+    errors.push('entity_id must be a string');
+  }
+  if (input.payload != null && (typeof input.payload !== 'object' || Array.isArray(input.payload))) {
+    errors.push('payload must be a JSON object');
+  }
+  if (input.id != null && !LOCAL_ID_PATTERN.test(String(input.id))) {
+    errors.push("id must be 1-100 letters, digits, '.', '_' or '-'");
+  }
+  const notionOnly = NOTION_ONLY_FIELDS.filter(field => field in input);
+  if (notionOnly.length) {
+    errors.push(`${notionOnly.join(', ')}: only supported for Notion commands`);
+  }
+
+  if (errors.length) return { ok: false, error: errors.join('; ') };
+  return {
+    ok: true,
+    value: {
+      localId: input.id != null ? String(input.id) : null,
+      command: input.command.trim(),
+      entityId: input.entity_id || null,
+      payload: input.payload || {},
+    },
+  };
+}
+
+/**
+ * Command data for a stored submission, in the shape the pipeline gets for
+ * a Notion page
+ * @param {Object} record - From the command store
+ * @returns {Object}
+ */
+function toCommandData(record) {
+  const payload = record.payload || {};
+  return {
+    id: record.id,
+    source: record.source,
+    command: record.command,
+    status: record.status,
+    entityId: record.entityId,
+    payload: JSON.stringify(payload),
+    payloadSource: record.source,
+    createdTime: record.createdAt,
+    runAt: null,
+    schedule: null,
+    parentId: null,
+    createdBy: null,
+    lastEditedBy: null,
+    approvedBy: [],
+    parsedPayload: payload,
+    payloadError: record.payloadError || null,
+    payloadHash: hashPayload(payload),
+    correlationId: payload.correlation_id || record.entityId || null,
+  };
+}
+
+function toItem(record) {
+  return {
+    id: record.id,
+    source: record.source,
+    createdTime: record.createdAt,
+    entityId: record.entityId,
+    due: true,
+  };
+}
+
+/**
+ * Create a source backed by the command store (see openCommandStore)
+ * @param {Object} options
+ * @param {string} options.name - Source name, e.g. 'http'
+ * @param {Object} options.store - From openCommandStore
+ * @param {Function} [options.onStatus] - `(record) => Promise`, after each status change
+ * @returns {CommandSource & { submit: Function }}
+ */
+export function createStoreSource({ name, store, onStatus }) {
+  return {
+    name,
+    notionFeatures: false,
+
+    /**
+     * Queue a command for the pipeline
+     * @param {Object} submission - parseSubmission value; or `{ localId, command, error }` for
+     *   input that can't be parsed, which then fails validation in the pipeline
+     * @returns {Promise<{ created: boolean, record: Object }>}
+     */
+    submit({ localId, command, entityId = null, payload = {}, error }) {
+      return store.add({
+        id: commandIdFor(name, localId || crypto.randomUUID()),
+        source: name,
+        command,
+        entityId,
+        payload,
+        ...(error && { payloadError: error }),
+      });
+    },
+
+    pending() {
+      return store.list(name).map(toItem);
+    },
+
+    async interrupted() {
+      return [...store.list(name, 'Processing'), ...store.list(name, 'Retrying')].map(record => record.id);
+    },
+
+    async load(item) {
+      return toCommandData(store.get(item.id));
+    },
+
+    async get(id) {
+      const record = store.get(id);
+      return record && { ...toItem(record), status: record.status, command: record.command };
+    },
+
+    async reportStatus(id, status, notes = '') {
+      const record = await store.setStatus(id, status, notes);
+      if (record && onStatus) await onStatus(record);
+    },
+
+    async isCancelled(id) {
+      return store.get(id)?.status === 'Cancelled';
+    },
+  };
+}
+
+/**
+ * Index sources by name
+ * @param {CommandSource[]} sources
+ * @returns {{ sources: CommandSource[], get: Function, forCommand: Function }}
+ */
+export function createSourceRegistry(sources) {
+  const byName = new Map();
+  for (const source of sources) {
+    if (byName.has(source.name)) throw new Error(`Command source '${source.name}' is registered twice`);
+    byName.set(source.name, source);
+  }
+
+  return {
+    sources: [...byName.values()],
+
+    get(name) {
+      return byName.get(name) || null;
+    },
+
+    /**
+     * The source a command ID belongs to
+     * @param {string} commandId
+     * @returns {CommandSource}
+     * @throws {Error} - When that source isn't enabled
+     */
+    forCommand(commandId) {
+      const name = sourceNameOf(commandId);
+      const source = byName.get(name);
+      if (!source) throw new Error(`Command source '${name}' is not enabled`);
+      return source;
+    },
+  };
+}
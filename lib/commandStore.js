@@ -0,0 +1,128 @@
+// lib/commandStore.js
+import fs from 'fs/promises';
+import path from 'path';
+import { TERMINAL_STATUSES } from './commandLedger.js';
+
+const STORE_VERSION = 1;
+const MAX_HISTORY = 50;
+
+/**
+ * Open (or create) the store for commands submitted outside Notion (HTTP
+ * intake, queue directory). It holds what the Commands database holds for
+ * Notion commands: the command itself and the status its submitter sees.
+ *
+ * Like the ledger, it is a single JSON file rewritten atomically after every
+ * change.
+ *
+ * @param {string} filePath - Location of the store file
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries=5000] - Finished commands kept before pruning the oldest
+ * @returns {Promise<Object>} - Store API
+ */
+export async function openCommandStore(filePath, { maxEntries = 5000 } = {}) {
+  const records = new Map();
+
+  try {
+    const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    for (const record of Object.values(data.commands || {})) {
+      records.set(record.id, record);
+    }
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw new Error(`Failed to load command store ${filePath}: ${err.message}`);
+    }
+  }
+
+  let writeChain = Promise.resolve();
+
+  function prune() {
+    const finished = [...records.values()]
+      .filter(r => TERMINAL_STATUSES.includes(r.status))
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
+    while (records.size > maxEntries && finished.length) {
+      records.delete(finished.shift().id);
+    }
+  }
+
+  function persist() {
+    writeChain = writeChain.catch(() => {}).then(async () => {
+      prune();
+      const data = { version: STORE_VERSION, commands: Object.fromEntries(records) };
+      const tmpPath = `${filePath}.tmp`;
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+      await fs.rename(tmpPath, filePath);
+    });
+    return writeChain;
+  }
+
+  return {
+    /**
+     * Add a submitted command in Deploy. An ID that already exists is kept
+     * as it is, so resubmitting is idempotent.
+     * @param {Object} command - `{ id, source, command, entityId, payload, payloadError? }`
+     * @returns {Promise<{ created: boolean, record: Object }>}
+     */
+    async add(command) {
+      if (records.has(command.id)) return { created: false, record: records.get(command.id) };
+      const now = new Date().toISOString();
+      const record = {
+        ...command,
+        status: 'Deploy',
+        notes: '',
+        createdAt: now,
+        updatedAt: now,
+        history: [{ status: 'Deploy', at: now }],
+      };
+      records.set(record.id, record);
+      await persist();
+      return { created: true, record };
+    },
+
+    /**
+     * Record the status the submitter sees
+     * @param {string} id
+     * @param {string} status
+     * @param {string} [notes]
+     * @returns {Promise<Object|null>} - The updated record, or null for an unknown ID
+     */
+    async setStatus(id, status, notes = '') {
+      const record = records.get(id);
+      if (!record) return null;
+      const now = new Date().toISOString();
+      record.status = status;
+      if (notes) record.notes = notes;
+      record.updatedAt = now;
+      record.history.push({ status, at: now, ...(notes && { notes }) });
+      if (record.history.length > MAX_HISTORY) {
+        record.history.splice(0, record.history.length - MAX_HISTORY);
+      }
+      await persist();
+      return record;
+    },
+
+    get(id) {
+      return records.get(id) || null;
+    },
+
+    /**
+     * Commands of one source in a status, oldest first
+     * @param {string} source
+     * @param {string} [status='Deploy']
+     * @returns {Object[]}
+     */
+    list(source, status = 'Deploy') {
+      return [...records.values()]
+        .filter(r => r.source === source && r.status === status)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    get size() {
+      return records.size;
+    },
+
+    flush() {
+      return writeChain;
+    },
+  };
+}
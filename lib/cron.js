@@ -0,0 +1,125 @@
+// lib/cron.js
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'dayOfWeek', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+/** How far ahead nextCronRun looks before deciding an expression never fires */
+const SEARCH_LIMIT_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (index !== -1) return index + field.nameOffset;
+  if (!/^\d+$/.test(text)) throw new Error(`'${text}' is not a valid ${field.name}`);
+  return parseInt(text, 10);
+}
+
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|[a-z0-9]+(?:-[a-z0-9]+)?)(?:\/(\d+))?$/i.exec(part);
+    if (!match) throw new Error(`'${part}' is not a valid ${field.name}`);
+
+    const [, range, stepText] = match;
+    let [low, high] = range === '*'
+      ? [field.min, field.max]
+      : range.split('-').map(v => parseValue(v, field));
+    // "5/15" means every 15 starting at 5
+    if (high === undefined) high = stepText ? field.max : low;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+
+    if (low < field.min || high > field.max) {
+      throw new Error(`${field.name} '${part}' is outside ${field.min}-${field.max}`);
+    }
+    if (low > high) throw new Error(`${field.name} range '${part}' is reversed`);
+    if (step < 1) throw new Error(`${field.name} step must be at least 1`);
+
+    for (let v = low; v <= high; v += step) {
+      values.add(field.name === 'dayOfWeek' && v === 7 ? 0 : v);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a standard five-field cron expression (minute hour day-of-month month
+ * day-of-week). Supports `*`, lists, ranges, steps, month and day names, and
+ * the @hourly/@daily/@weekly/@monthly/@yearly macros.
+ * @param {string} expression
+ * @returns {Object} - Parsed schedule for nextCronRun
+ * @throws {Error} - When the expression is invalid
+ */
+export function parseCron(expression) {
+  const source = String(expression).trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== FIELDS.length) {
+    throw new Error(`expected 5 fields (minute hour day month weekday), got ${fields.length}`);
+  }
+
+  const schedule = { expression: source };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(fields[i], field);
+  });
+  // As in Vixie cron, a restricted day-of-month and day-of-week match either way
+  schedule.dayOfMonthRestricted = !fields[2].startsWith('*');
+  schedule.dayOfWeekRestricted = !fields[4].startsWith('*');
+  return schedule;
+}
+
+function dayMatches(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getUTCDate());
+  const dow = schedule.dayOfWeek.has(date.getUTCDay());
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) return dom || dow;
+  if (schedule.dayOfMonthRestricted) return dom;
+  if (schedule.dayOfWeekRestricted) return dow;
+  return true;
+}
+
+/**
+ * First time strictly after `after` that a cron expression fires, in UTC
+ * @param {string|Object} schedule - Cron expression or parseCron result
+ * @param {Date} [after=new Date()]
+ * @returns {Date|null} - null when the expression never fires (e.g. 30 February)
+ */
+export function nextCronRun(schedule, after = new Date()) {
+  const cron = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const t = new Date(after.getTime());
+  t.setUTCSeconds(0, 0);
+  t.setUTCMinutes(t.getUTCMinutes() + 1);
+  const limit = after.getTime() + SEARCH_LIMIT_MS;
+
+  while (t.getTime() <= limit) {
+    if (!cron.month.has(t.getUTCMonth() + 1)) {
+      t.setUTCMonth(t.getUTCMonth() + 1, 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, t)) {
+      t.setUTCDate(t.getUTCDate() + 1);
+      t.setUTCHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,97 @@
+// lib/dependencies.js
+
+/** Upstream statuses that mean a dependent can never run */
+export const UPSTREAM_FAILED_STATUSES = ['Failed', 'Dead Letter', 'Cancelled', 'Skipped'];
+
+function isSettled(node) {
+  return node.missing || node.status === 'Completed' || UPSTREAM_FAILED_STATUSES.includes(node.status);
+}
+
+/**
+ * Depth-first search from the root's pending dependencies back to the root.
+ * Settled commands can't be part of a live cycle, so they aren't followed.
+ * @returns {Promise<string[]|null>} - Page IDs from the root around the cycle, or null
+ */
+async function findCycle(rootId, pending, getNode) {
+  const visited = new Set();
+
+  async function visit(node, path) {
+    if (node.id === rootId) return path;
+    if (visited.has(node.id) || isSettled(node)) return null;
+    visited.add(node.id);
+
+    for (const depId of node.dependsOn || []) {
+      const cycle = await visit(await getNode(depId), [...path, depId]);
+      if (cycle) return cycle;
+    }
+    return null;
+  }
+
+  for (const node of pending) {
+    const cycle = await visit(node, [rootId, node.id]);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Work out whether a command's dependencies allow it to run.
+ *
+ * `getNode(pageId)` resolves to `{ id, name, status, dependsOn, missing }`
+ * for any command; it is called once per page visited, so callers should
+ * cache across commands evaluated in the same pass.
+ *
+ * @param {string} rootId - Page ID of the command being evaluated
+ * @param {string[]} dependsOn - Page IDs it depends on
+ * @param {Function} getNode
+ * @returns {Promise<Object>} - `{ state, nodes }` where state is
+ *   'ready' (all Completed), 'waiting' (nodes = pending dependencies),
+ *   'blocked' (nodes = failed or missing dependencies) or
+ *   'cycle' (also `cycle`: page IDs from the root back to itself)
+ */
+export async function evaluateDependencies(rootId, dependsOn, getNode) {
+  if (dependsOn.includes(rootId)) {
+    return { state: 'cycle', nodes: [], cycle: [rootId, rootId] };
+  }
+
+  const direct = [];
+  for (const id of dependsOn) {
+    direct.push(await getNode(id));
+  }
+
+  const failed = direct.filter(n => n.missing || UPSTREAM_FAILED_STATUSES.includes(n.status));
+  if (failed.length) return { state: 'blocked', nodes: failed };
+
+  const pending = direct.filter(n => n.status !== 'Completed');
+  if (!pending.length) return { state: 'ready', nodes: [] };
+
+  const cycle = await findCycle(rootId, pending, getNode);
+  if (cycle) return { state: 'cycle', nodes: pending, cycle };
+
+  return { state: 'waiting', nodes: pending };
+}
+
+/**
+ * Describe a dependency evaluation for the command's Notes
+ * @param {Object} evaluation - Result of evaluateDependencies
+ * @param {Function} [nameOf] - Maps a page ID to a display name (for cycles)
+ * @returns {string}
+ */
+export function describeDependencies(evaluation, nameOf = id => id) {
+  const label = n => `${n.name || n.id} (${n.missing ? 'not found' : n.status})`;
+  switch (evaluation.state) {
+    case 'ready':
+      return 'All dependencies completed';
+    case 'waiting':
+      return `Waiting on ${evaluation.nodes.length} ` +
+        `${evaluation.nodes.length === 1 ? 'dependency' : 'dependencies'}:\n` +
+        evaluation.nodes.map(n => `- ${label(n)}`).join('\n');
+    case 'blocked':
+      return `Upstream ${evaluation.nodes.length === 1 ? 'command' : 'commands'} did not complete:\n` +
+        evaluation.nodes.map(n => `- ${label(n)}`).join('\n');
+    case 'cycle':
+      return `Dependency cycle: ${evaluation.cycle.map(nameOf).join(' → ')}`;
+    default:
+      return '';
+  }
+}
@@ -4,7 +4,77 @@
  * Exports all governance helpers for use in services.
  */
 
-export { resolveEntityPageId, resolveEntityPageIds } from './resolveEntityPageId.js';
-export { redactPII, createAuditSummary, hashValue } from './redactPII.js';
-export { signAudit, createSignedAudit, computePromptHash } from './signAudit.js';
-export { verifySignature } from './verifySignature.js';
+export { createNotionAccess } from './notionClient.js';
+export { createEntityResolver, resolveEntityPageId, resolveEntityPageIds, resolveEntityMatches } from './resolveEntityPageId.js';
+export {
+  DEFAULT_FIELD_RULES,
+  DEFAULT_DETECTORS,
+  NON_PERSONAL_NAME_FIELDS,
+  createRedactor,
+  redactPII,
+  createAuditSummary,
+  hashValue,
+} from './redactPII.js';
+export { computeHmac, serializeForSigning, signAudit, createSignedAudit, computePromptHash, verifyPromptHash } from './signAudit.js';
+export { canonicalJson, CANONICAL_JSON_VERSION } from './canonicalJson.js';
+export { verifyHmac, verifySignature } from './verifySignature.js';
+export {
+  SIGNATURE_ENVELOPE_VERSION,
+  SIGNATURE_ENVELOPE_VERSIONS,
+  SIGNATURE_ALGORITHM,
+  DEFAULT_KEY_ID,
+  MIN_KEY_LENGTH,
+  createKeyring,
+  toKeyring,
+  keyringFromEnv,
+  checkSigningKey,
+  isTestMode,
+  formatSignature,
+  parseSignature,
+} from './keyring.js';
+export { openAuditTrail, hashPayload } from './auditTrail.js';
+export { createMetricsRegistry, DEFAULT_BUCKETS } from './metrics.js';
+export { computeEntryHash, signedPortion, verifyAuditChain } from './auditChain.js';
+export { openCommandLedger, TERMINAL_STATUSES } from './commandLedger.js';
+export { openChangeTracker } from './changeTracker.js';
+export { openCommandStore } from './commandStore.js';
+export {
+  NOTION_SOURCE,
+  commandIdFor,
+  sourceNameOf,
+  parseSubmission,
+  createStoreSource,
+  createSourceRegistry,
+} from './commandSources.js';
+export { createQueueSource } from './queueSource.js';
+export { NOTION_SIGNATURE_HEADER, signNotionEvent, verifyNotionEvent, normalizeNotionId } from './notionEvents.js';
+export {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  computeBackoffDelay,
+  getRetryDelay,
+  isRetryableFailure,
+  parseRetryAfter,
+} from './retryPolicy.js';
+export {
+  SIGNATURE_HEADERS,
+  canonicalizeBody,
+  signWebhookRequest,
+  verifyWebhookRequest,
+  createNonceStore,
+} from './webhookSignature.js';
+export {
+  RICH_TEXT_SEGMENT_LIMIT,
+  RICH_TEXT_MAX_SEGMENTS,
+  richTextToPlain,
+  toRichText,
+  fitsRichText,
+  findJsonCodeBlock,
+  propertyToPlain,
+} from './notionText.js';
+export { parsePayload, createSchemaRegistry, loadSchemaRegistry } from './payloadSchemas.js';
+export { createRouter, loadRoutingConfig, matchesCommandName, matchesPayload } from './commandRouter.js';
+export { createWorkerPool } from './workerPool.js';
+export { parseCron, nextCronRun } from './cron.js';
+export { createApprovalPolicy, loadApprovalPolicy, checkApproval } from './approvalPolicy.js';
+export { evaluateDependencies, describeDependencies, UPSTREAM_FAILED_STATUSES } from './dependencies.js';
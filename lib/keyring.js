@@ -0,0 +1,164 @@
+// lib/keyring.js
+
+/**
+ * Envelope version written by formatSignature. It also fixes how an object
+ * payload was serialized before hashing: 'v1' used JSON.stringify, 'v2' uses
+ * canonical JSON (lib/canonicalJson.js).
+ */
+export const SIGNATURE_ENVELOPE_VERSION = 'v2';
+
+/** Envelope versions parseSignature accepts */
+export const SIGNATURE_ENVELOPE_VERSIONS = ['v1', 'v2'];
+
+/** The only signing algorithm so far */
+export const SIGNATURE_ALGORITHM = 'hmac-sha256';
+
+/** Key ID used for a key given as a bare string */
+export const DEFAULT_KEY_ID = 'default';
+
+// Key IDs appear inside the envelope, which is ':'-separated
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+/** Shortest secret accepted outside test mode */
+export const MIN_KEY_LENGTH = 32;
+
+// Values from docs, examples and old defaults that must never sign real records
+const PLACEHOLDER_KEYS = [
+  'replace-with-a-long-random-secret',
+  'staging-test-key-replace-in-prod',
+  'changeme',
+  'secret',
+  'xxx',
+];
+
+/**
+ * Build a keyring: one active key that signs, plus retired keys that are
+ * only used to verify older signatures.
+ * @param {Object} options
+ * @param {Object[]} options.keys - `{ id, secret, retired? }`; exactly one must not be retired
+ * @returns {{ current: Object, get: Function, keys: Object[] }}
+ */
+export function createKeyring({ keys }) {
+  const byId = new Map();
+  for (const key of keys) {
+    if (!KEY_ID_PATTERN.test(key.id || '')) {
+      throw new Error(`Invalid key ID '${key.id}': use letters, digits, '.', '_' or '-'`);
+    }
+    if (!key.secret) throw new Error(`Key '${key.id}' has no secret`);
+    if (byId.has(key.id)) throw new Error(`Key ID '${key.id}' is used twice`);
+    byId.set(key.id, { id: key.id, secret: key.secret, retired: Boolean(key.retired) });
+  }
+
+  const active = [...byId.values()].filter(key => !key.retired);
+  if (active.length !== 1) {
+    throw new Error(`A keyring needs exactly one active key, found ${active.length}`);
+  }
+
+  return {
+    current: active[0],
+
+    /**
+     * @param {string} keyId
+     * @returns {Object|null} - `{ id, secret, retired }`
+     */
+    get(keyId) {
+      return byId.get(keyId) || null;
+    },
+
+    keys: [...byId.values()],
+  };
+}
+
+/**
+ * Accept either a keyring or a bare secret (treated as a one-key keyring)
+ * @param {Object|string} keyOrKeyring
+ * @returns {Object} - createKeyring result
+ */
+export function toKeyring(keyOrKeyring) {
+  if (keyOrKeyring && typeof keyOrKeyring === 'object' && keyOrKeyring.current) return keyOrKeyring;
+  if (!keyOrKeyring) throw new Error('No signing key given');
+  return createKeyring({ keys: [{ id: DEFAULT_KEY_ID, secret: keyOrKeyring }] });
+}
+
+/**
+ * Build a keyring from environment variables:
+ * - `<prefix>` - the active secret, e.g. HMAC_KEY
+ * - `<prefix>_ID` - its key ID (default: 'default')
+ * - `<prefix>_RETIRED` - retired keys as `id:secret,id:secret`
+ * @param {string} [prefix='HMAC_KEY']
+ * @param {Object} [env=process.env]
+ * @param {string} [fallbackSecret] - Active secret when `<prefix>` is unset
+ * @returns {Object|null} - createKeyring result, or null without an active secret
+ */
+export function keyringFromEnv(prefix = 'HMAC_KEY', env = process.env, fallbackSecret) {
+  const secret = env[prefix] || fallbackSecret;
+  if (!secret) return null;
+
+  const retired = (env[`${prefix}_RETIRED`] || '')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+    .map(item => {
+      const separator = item.indexOf(':');
+      if (separator < 1) throw new Error(`${prefix}_RETIRED entries must look like id:secret`);
+      return { id: item.slice(0, separator), secret: item.slice(separator + 1), retired: true };
+    });
+
+  return createKeyring({
+    keys: [{ id: env[`${prefix}_ID`] || DEFAULT_KEY_ID, secret }, ...retired],
+  });
+}
+
+/**
+ * Why a secret isn't fit to sign real records, if it isn't
+ * @param {string} [secret]
+ * @returns {string|null} - The problem, or null for a usable key
+ */
+export function checkSigningKey(secret) {
+  if (!secret) return 'no key is set';
+  if (PLACEHOLDER_KEYS.includes(secret.trim().toLowerCase())) return 'the key is a placeholder value';
+  if (secret.length < MIN_KEY_LENGTH) return `the key is shorter than ${MIN_KEY_LENGTH} characters`;
+  return null;
+}
+
+/**
+ * Whether the process runs in explicit test mode (TEST_MODE=true), where
+ * weak or generated keys are tolerated
+ * @param {Object} [env=process.env]
+ * @returns {boolean}
+ */
+export function isTestMode(env = process.env) {
+  return ['true', '1'].includes(String(env.TEST_MODE || '').toLowerCase());
+}
+
+/**
+ * Serialize a signature envelope: `v2:hmac-sha256:<keyId>:<hex digest>`
+ * @param {Object} signature
+ * @param {string} signature.keyId
+ * @param {string} signature.digest - Hex digest
+ * @param {string} [signature.algorithm='hmac-sha256']
+ * @param {string} [signature.version] - Envelope version (default: current)
+ * @returns {string}
+ */
+export function formatSignature({ keyId, digest, algorithm = SIGNATURE_ALGORITHM, version = SIGNATURE_ENVELOPE_VERSION }) {
+  return [version, algorithm, keyId, digest].join(':');
+}
+
+/**
+ * Parse a signature envelope. A bare 64-character hex digest (signatures
+ * written before envelopes) parses with `legacy: true` and no key ID.
+ * @param {string} signature
+ * @returns {Object|null} - `{ version, algorithm, keyId, digest, legacy }`, or null if malformed
+ */
+export function parseSignature(signature) {
+  if (typeof signature !== 'string') return null;
+  if (/^[0-9a-f]{64}$/i.test(signature)) {
+    return { version: null, algorithm: SIGNATURE_ALGORITHM, keyId: null, digest: signature, legacy: true };
+  }
+
+  const parts = signature.split(':');
+  if (parts.length !== 4 || !SIGNATURE_ENVELOPE_VERSIONS.includes(parts[0])) return null;
+  const [version, algorithm, keyId, digest] = parts;
+  if (!KEY_ID_PATTERN.test(keyId) || !/^[0-9a-f]+$/i.test(digest)) return null;
+  return { version, algorithm, keyId, digest, legacy: false };
+}
@@ -0,0 +1,137 @@
+// lib/metrics.js
+
+export const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabelValue(v)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ''));
+}
+
+function pickLabels(labelNames, labels) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * Create a metrics registry that renders the Prometheus text exposition format.
+ * @returns {{ counter: Function, gauge: Function, histogram: Function, render: Function }}
+ */
+export function createMetricsRegistry() {
+  const metrics = [];
+
+  function register(metric) {
+    metrics.push(metric);
+    return metric;
+  }
+
+  return {
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {string[]} [labelNames]
+     * @returns {{ inc: Function }}
+     */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      return register({
+        name, help, type: 'counter',
+        inc(labels = {}, amount = 1) {
+          const key = labelKey(labelNames, labels);
+          const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+          current.value += amount;
+          series.set(key, current);
+        },
+        lines() {
+          return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+        },
+      });
+    },
+
+    /**
+     * A gauge is either set directly or computed at scrape time via `collect`.
+     * @param {string} name
+     * @param {string} help
+     * @param {Object} [options]
+     * @param {string[]} [options.labelNames]
+     * @param {Function} [options.collect] - Returns the value (unlabelled gauges only)
+     * @returns {{ set: Function }}
+     */
+    gauge(name, help, { labelNames = [], collect } = {}) {
+      const series = new Map();
+      return register({
+        name, help, type: 'gauge',
+        set(labels, value) {
+          if (value === undefined) [labels, value] = [{}, labels];
+          series.set(labelKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+        },
+        lines() {
+          if (collect) {
+            const value = collect();
+            return value === null || value === undefined ? [] : [`${name} ${value}`];
+          }
+          return [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`);
+        },
+      });
+    },
+
+    /**
+     * @param {string} name
+     * @param {string} help
+     * @param {Object} [options]
+     * @param {string[]} [options.labelNames]
+     * @param {number[]} [options.buckets] - Upper bounds in seconds
+     * @returns {{ observe: Function }}
+     */
+    histogram(name, help, { labelNames = [], buckets = DEFAULT_BUCKETS } = {}) {
+      const series = new Map();
+      return register({
+        name, help, type: 'histogram',
+        observe(labels, value) {
+          if (value === undefined) [labels, value] = [{}, labels];
+          const key = labelKey(labelNames, labels);
+          const current = series.get(key) || {
+            labels: pickLabels(labelNames, labels),
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+          };
+          buckets.forEach((bound, i) => {
+            if (value <= bound) current.counts[i]++;
+          });
+          current.sum += value;
+          current.count++;
+          series.set(key, current);
+        },
+        lines() {
+          const out = [];
+          for (const s of series.values()) {
+            buckets.forEach((bound, i) => {
+              out.push(`${name}_bucket${formatLabels({ ...s.labels, le: bound })} ${s.counts[i]}`);
+            });
+            out.push(`${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+            out.push(`${name}_sum${formatLabels(s.labels)} ${s.sum}`);
+            out.push(`${name}_count${formatLabels(s.labels)} ${s.count}`);
+          }
+          return out;
+        },
+      });
+    },
+
+    /**
+     * Render every metric in Prometheus text format
+     * @returns {string}
+     */
+    render() {
+      return metrics
+        .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n'))
+        .join('\n') + '\n';
+    },
+  };
+}
@@ -0,0 +1,200 @@
+// lib/notionClient.js
+import { Client, ClientErrorCode, isNotionClientError } from '@notionhq/client';
+import { resolveRetryPolicy, isRetryableFailure, getRetryDelay, parseRetryAfter, sleep } from './retryPolicy.js';
+
+// Notion allows an average of three requests per second per integration
+const DEFAULT_REQUESTS_PER_SECOND = 3;
+
+const NOTION_RETRY_POLICY = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  retryOnStatus: [429, 500, 502, 503, 504],
+};
+
+// Transport errors raised before a connection was made, so the request never reached Notion
+const NOT_SENT_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Classify a Notion SDK error for the retry policy
+ * @param {Error} error
+ * @returns {Object} - `{ status, retryAfterMs }` or `{ network: true }`
+ */
+function describeFailure(error) {
+  if (isNotionClientError(error) && error.code !== ClientErrorCode.RequestTimeout) {
+    return {
+      status: error.status,
+      retryAfterMs: parseRetryAfter(error.headers?.get?.('retry-after')),
+    };
+  }
+  // Request timeouts and transport errors (DNS, resets) from the fetch layer
+  return { network: true };
+}
+
+/**
+ * Whether a failed request certainly had no effect in Notion: rate limited,
+ * or never sent. Anything else (5xx, timeouts, dropped connections) may have
+ * been applied even though no response came back.
+ * @param {Error} error
+ * @param {Object} failure - From describeFailure
+ * @returns {boolean}
+ */
+function certainlyNotApplied(error, failure) {
+  return failure.status === 429 || NOT_SENT_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Create a throttled, retrying wrapper around the Notion client.
+ *
+ * Mirrors the SDK surface used by this service (`databases.query`,
+ * `pages.update`, ...) so callers can swap it in for a raw Client, and adds
+ * `queryAll` / `listAllBlockChildren` which follow `next_cursor`.
+ *
+ * @param {Object} options
+ * @param {Client} [options.client] - Existing SDK client (otherwise built from `auth`)
+ * @param {string} [options.auth] - Notion integration token
+ * @param {number} [options.requestsPerSecond=3] - Average request rate across all calls
+ * @param {Object} [options.retry] - Overrides for the retry policy
+ * @param {Function} [options.onRequest] - Called with `{ method, durationMs, error }` after each attempt
+ * @returns {Object}
+ */
+export function createNotionAccess({
+  client,
+  auth,
+  requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+  retry,
+  onRequest,
+} = {}) {
+  const sdk = client || new Client({ auth });
+  const policy = resolveRetryPolicy(NOTION_RETRY_POLICY, retry);
+  const intervalMs = 1000 / requestsPerSecond;
+
+  // Earliest time the next request may start; shared by all callers
+  let nextSlot = 0;
+
+  async function throttle() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextSlot);
+    nextSlot = startAt + intervalMs;
+    if (startAt > now) await sleep(startAt - now);
+  }
+
+  /**
+   * Run one SDK call with throttling and retries.
+   *
+   * A call that isn't idempotent is only sent again when the failed attempt
+   * certainly had no effect. After any other failure it is sent again only if
+   * `findExisting` finds nothing, and the result is whatever it found otherwise;
+   * without `findExisting` the error is thrown.
+   *
+   * @param {string} method - Name used in logs and metrics, e.g. 'databases.query'
+   * @param {Function} fn - Performs the SDK call
+   * @param {Object} [options]
+   * @param {boolean} [options.idempotent=true] - Sending the call twice has the same effect as once
+   * @param {Function} [options.findExisting] - `() => Promise<Object|null>`: what a call that
+   *   failed without a response may have created
+   * @returns {Promise<*>}
+   */
+  async function request(method, fn, { idempotent = true, findExisting } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await throttle();
+      const started = Date.now();
+      try {
+        const result = await fn();
+        onRequest?.({ method, durationMs: Date.now() - started, error: null });
+        return result;
+      } catch (error) {
+        onRequest?.({ method, durationMs: Date.now() - started, error });
+
+        const failure = describeFailure(error);
+        if (!isRetryableFailure(policy, failure) || attempt >= policy.maxAttempts) {
+          throw error;
+        }
+
+        const delayMs = getRetryDelay(policy, attempt, failure);
+        // A rate limit applies to the whole integration, so hold every caller back
+        if (failure.status === 429) {
+          nextSlot = Math.max(nextSlot, Date.now() + delayMs);
+        }
+        await sleep(delayMs);
+
+        if (!idempotent && !certainlyNotApplied(error, failure)) {
+          if (!findExisting) throw error;
+          const existing = await findExisting();
+          if (existing) return existing;
+        }
+      }
+    }
+  }
+
+  const wrap = (method, fn) => (args) => request(method, () => fn(args));
+
+  const access = {
+    client: sdk,
+    request,
+
+    databases: {
+      query: wrap('databases.query', a => sdk.databases.query(a)),
+      retrieve: wrap('databases.retrieve', a => sdk.databases.retrieve(a)),
+    },
+    pages: {
+      retrieve: wrap('pages.retrieve', a => sdk.pages.retrieve(a)),
+      // Properties are set to absolute values, so sending an update again lands the same page
+      update: wrap('pages.update', a => sdk.pages.update(a)),
+
+      /**
+       * Create a page. A retry after a failure that may have created it
+       * anyway only happens when `findExisting` can tell it wasn't.
+       * @param {Object} args - pages.create parameters
+       * @param {Object} [options]
+       * @param {Function} [options.findExisting] - `() => Promise<Object|null>`: the page
+       *   if an earlier attempt created it, e.g. found by a key in its properties
+       * @returns {Promise<Object>}
+       */
+      create: (args, { findExisting } = {}) =>
+        request('pages.create', () => sdk.pages.create(args), { idempotent: false, findExisting }),
+    },
+    users: {
+      retrieve: wrap('users.retrieve', a => sdk.users.retrieve(a)),
+    },
+    blocks: {
+      children: {
+        list: wrap('blocks.children.list', a => sdk.blocks.children.list(a)),
+      },
+    },
+
+    /**
+     * Query a database and return every matching page across all result pages
+     * @param {Object} params - databases.query parameters
+     * @returns {Promise<Object[]>}
+     */
+    async queryAll(params) {
+      const results = [];
+      let cursor;
+      do {
+        const response = await access.databases.query({ page_size: 100, ...params, start_cursor: cursor });
+        results.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+      return results;
+    },
+
+    /**
+     * List every child block of a page or block
+     * @param {string} blockId
+     * @returns {Promise<Object[]>}
+     */
+    async listAllBlockChildren(blockId) {
+      const results = [];
+      let cursor;
+      do {
+        const response = await access.blocks.children.list({ block_id: blockId, page_size: 100, start_cursor: cursor });
+        results.push(...response.results);
+        cursor = response.has_more ? response.next_cursor : undefined;
+      } while (cursor);
+      return results;
+    },
+  };
+
+  return access;
+}
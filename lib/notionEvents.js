@@ -0,0 +1,38 @@
+// lib/notionEvents.js
+import { computeHmac } from './signAudit.js';
+import { verifyHmac } from './verifySignature.js';
+
+/** Header carrying Notion's signature of a webhook event */
+export const NOTION_SIGNATURE_HEADER = 'X-Notion-Signature';
+
+/**
+ * Sign an event body the way Notion does: `sha256=` and the HMAC-SHA256 of
+ * the raw body, keyed with the subscription's verification token
+ * @param {string} rawBody
+ * @param {string} verificationToken
+ * @returns {string} - Header value
+ */
+export function signNotionEvent(rawBody, verificationToken) {
+  return `sha256=${computeHmac(rawBody, verificationToken)}`;
+}
+
+/**
+ * Check the signature on a Notion webhook event
+ * @param {string} rawBody - Body exactly as received
+ * @param {string} [signature] - X-Notion-Signature header value
+ * @param {string} verificationToken
+ * @returns {boolean}
+ */
+export function verifyNotionEvent(rawBody, signature, verificationToken) {
+  const [scheme, digest] = String(signature || '').split('=');
+  return scheme === 'sha256' && Boolean(digest) && verifyHmac(rawBody, digest, verificationToken);
+}
+
+/**
+ * Normalize a Notion ID for comparison (IDs appear with and without dashes)
+ * @param {string} [id]
+ * @returns {string}
+ */
+export function normalizeNotionId(id) {
+  return String(id || '').replace(/-/g, '').toLowerCase();
+}
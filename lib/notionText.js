@@ -0,0 +1,114 @@
+// lib/notionText.js
+
+/** Notion's limit on the text content of one rich_text segment */
+export const RICH_TEXT_SEGMENT_LIMIT = 2000;
+
+/** Notion's limit on the number of segments in one rich_text array */
+export const RICH_TEXT_MAX_SEGMENTS = 100;
+
+/**
+ * Join every segment of a rich_text (or title) array into plain text
+ * @param {Object[]} [richText] - Notion rich_text array
+ * @returns {string}
+ */
+export function richTextToPlain(richText = []) {
+  return richText.map(segment => segment.plain_text ?? segment.text?.content ?? '').join('');
+}
+
+function splitSegments(text) {
+  const segments = [];
+  let rest = String(text);
+
+  while (rest.length && segments.length < RICH_TEXT_MAX_SEGMENTS) {
+    let end = Math.min(RICH_TEXT_SEGMENT_LIMIT, rest.length);
+    // Don't split a surrogate pair across segments
+    const code = rest.charCodeAt(end - 1);
+    if (end < rest.length && code >= 0xd800 && code <= 0xdbff) end--;
+    segments.push(rest.slice(0, end));
+    rest = rest.slice(end);
+  }
+  return { segments, rest };
+}
+
+/**
+ * Whether text fits in one rich_text property without being truncated
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function fitsRichText(text) {
+  return splitSegments(text).rest.length === 0;
+}
+
+/**
+ * Split text into rich_text segments that fit Notion's limits.
+ * Text beyond the segment cap is cut and marked as truncated.
+ * @param {string} text
+ * @returns {Object[]} - Notion rich_text array
+ */
+export function toRichText(text) {
+  const { segments, rest } = splitSegments(text);
+
+  if (rest.length) {
+    const marker = '… [truncated]';
+    const last = segments[segments.length - 1];
+    segments[segments.length - 1] = last.slice(0, RICH_TEXT_SEGMENT_LIMIT - marker.length) + marker;
+  }
+
+  return segments.map(content => ({ text: { content } }));
+}
+
+/**
+ * Find the first JSON code block among a page's blocks and return its text
+ * @param {Object[]} blocks - Notion block objects (top level of a page)
+ * @returns {string|null}
+ */
+export function findJsonCodeBlock(blocks = []) {
+  const block = blocks.find(b => b.type === 'code' && b.code?.language === 'json');
+  return block ? richTextToPlain(block.code.rich_text) : null;
+}
+
+/**
+ * Plain JSON value of a Notion page property: text for text-like types,
+ * names for selects and people, page IDs for relations, and the underlying
+ * value for formulas and rollups. Unsupported or empty properties give null.
+ * @param {Object} [property] - Property object from a page's `properties`
+ * @returns {*}
+ */
+export function propertyToPlain(property) {
+  if (!property) return null;
+  const value = property[property.type];
+
+  switch (property.type) {
+    case 'title':
+    case 'rich_text':
+      return richTextToPlain(value) || null;
+    case 'select':
+    case 'status':
+      return value?.name ?? null;
+    case 'multi_select':
+      return value.map(option => option.name);
+    case 'people':
+      return value.map(person => person.name ?? person.id);
+    case 'relation':
+      return value.map(page => page.id);
+    case 'date':
+      return value?.start ?? null;
+    case 'formula':
+      return value?.[value.type] ?? null;
+    case 'rollup':
+      return value?.type === 'array'
+        ? value.array.map(propertyToPlain)
+        : value?.[value?.type] ?? null;
+    case 'number':
+    case 'checkbox':
+    case 'url':
+    case 'email':
+    case 'phone_number':
+    case 'created_time':
+    case 'last_edited_time':
+    case 'unique_id':
+      return value ?? null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,113 @@
+// lib/payloadSchemas.js
+import fs from 'fs/promises';
+import path from 'path';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+/**
+ * Parse a command payload. Only JSON objects are accepted, since the payload
+ * is merged into the webhook body.
+ * @param {string} text - Raw payload text from Notion
+ * @returns {{ ok: true, value: Object } | { ok: false, error: string }}
+ */
+export function parsePayload(text) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { ok: false, error: `Payload is not valid JSON: ${err.message}` };
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return { ok: false, error: 'Payload must be a JSON object' };
+  }
+  return { ok: true, value };
+}
+
+/**
+ * Turn Ajv errors into "field: problem" lines
+ * @param {Object[]} errors - Ajv error objects
+ * @returns {string[]}
+ */
+function formatErrors(errors) {
+  return errors.map(err => {
+    const field = err.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    if (err.keyword === 'required') {
+      return `${field ? `${field}.` : ''}${err.params.missingProperty}: is required`;
+    }
+    if (err.keyword === 'enum') {
+      return `${field}: must be one of ${err.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+    }
+    if (err.keyword === 'additionalProperties') {
+      return `${field ? `${field}.` : ''}${err.params.additionalProperty}: is not allowed`;
+    }
+    return `${field || '(payload)'}: ${err.message}`;
+  });
+}
+
+/**
+ * Build a schema registry from a map of command name -> JSON Schema
+ * @param {Object} schemas - `{ [commandName]: schemaObject }`
+ * @returns {{ commands: string[], validate: Function }}
+ */
+export function createSchemaRegistry(schemas = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+
+  const validators = new Map();
+  for (const [command, schema] of Object.entries(schemas)) {
+    try {
+      validators.set(command, ajv.compile(schema));
+    } catch (err) {
+      throw new Error(`Invalid schema for command '${command}': ${err.message}`);
+    }
+  }
+
+  return {
+    commands: [...validators.keys()],
+
+    /**
+     * Validate a payload against the schema registered for a command.
+     * Commands without a schema always pass.
+     * @param {string} command - Command name
+     * @param {Object} payload - Parsed payload
+     * @returns {string[]} - Field errors; empty when valid
+     */
+    validate(command, payload) {
+      const validator = validators.get(command);
+      if (!validator || validator(payload)) return [];
+      return formatErrors(validator.errors);
+    },
+  };
+}
+
+/**
+ * Load a schema registry file. Values are inline schemas or paths to schema
+ * files, resolved relative to the registry file.
+ * @param {string} registryPath
+ * @returns {Promise<Object>} - Registry from createSchemaRegistry
+ */
+export async function loadSchemaRegistry(registryPath) {
+  const baseDir = path.dirname(registryPath);
+  let entries;
+  try {
+    entries = JSON.parse(await fs.readFile(registryPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to load schema registry ${registryPath}: ${err.message}`);
+  }
+
+  const schemas = {};
+  for (const [command, ref] of Object.entries(entries)) {
+    if (typeof ref !== 'string') {
+      schemas[command] = ref;
+      continue;
+    }
+    const schemaPath = path.resolve(baseDir, ref);
+    try {
+      schemas[command] = JSON.parse(await fs.readFile(schemaPath, 'utf8'));
+    } catch (err) {
+      throw new Error(`Failed to load schema for command '${command}' from ${schemaPath}: ${err.message}`);
+    }
+  }
+
+  return createSchemaRegistry(schemas);
+}
@@ -0,0 +1,137 @@
+// lib/queueSource.js
+import fs from 'fs/promises';
+import path from 'path';
+import { createStoreSource, parseSubmission } from './commandSources.js';
+
+const STATUS_FILE = 'status.jsonl';
+const PROCESSED_DIR = 'processed';
+
+function isCommandFile(name) {
+  return !name.startsWith('.') && name !== STATUS_FILE && /\.jsonl?$/.test(name);
+}
+
+/**
+ * Read the commands in one queue file: a `.json` file holds one command, a
+ * `.jsonl` file one per line
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @returns {Array<{ line: number, input?: *, error?: string }>}
+ */
+function readEntries(name, text) {
+  const lines = name.endsWith('.jsonl')
+    ? text.split('\n').map((line, i) => ({ line: i + 1, text: line })).filter(l => l.text.trim())
+    : [{ line: 1, text }];
+
+  return lines.map(({ line, text: json }) => {
+    try {
+      return { line, input: JSON.parse(json) };
+    } catch (err) {
+      return { line, error: `not valid JSON (${err.message})` };
+    }
+  });
+}
+
+/**
+ * Create a command source fed by a local directory.
+ *
+ * Producers drop `*.json` (one command) or `*.jsonl` (one command per line)
+ * files into `dir`, each command shaped like a `POST /commands` body. Write
+ * them under another name and rename them in, so a half-written file is never
+ * picked up. Each sync adds the commands in new files to the store and moves
+ * the files to `dir/processed/`, prefixed with the time they were taken
+ * (`20260101T120000000Z-batch.jsonl`).
+ *
+ * Commands without an `id` get `<file name>-<line>`, so a reused file name
+ * counts as a resubmission. Entries that aren't valid commands are still
+ * added, with the error, and fail validation like any other command.
+ *
+ * Every status change is appended to `dir/status.jsonl` as
+ * `{ id, command, status, notes, at }`; that file is how producers learn
+ * the outcome.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Queue directory (created if missing)
+ * @param {Object} options.store - From openCommandStore
+ * @param {string} [options.name='queue'] - Source name
+ * @returns {import('./commandSources.js').CommandSource}
+ */
+export function createQueueSource({ dir, store, name = 'queue' }) {
+  const processedDir = path.join(dir, PROCESSED_DIR);
+  const statusPath = path.join(dir, STATUS_FILE);
+
+  const source = createStoreSource({
+    name,
+    store,
+    onStatus: record => fs.appendFile(statusPath, JSON.stringify({
+      id: record.id,
+      command: record.command,
+      status: record.status,
+      notes: record.notes,
+      at: record.updatedAt,
+    }) + '\n'),
+  });
+
+  /**
+   * Where a taken file goes: its name with the time it was taken in front,
+   * so a file name used again never overwrites the earlier file
+   * @param {string} fileName
+   * @returns {Promise<string>}
+   */
+  async function processedPathFor(fileName) {
+    const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+    for (let n = 0; ; n++) {
+      const candidate = path.join(processedDir, `${stamp}${n ? `-${n}` : ''}-${fileName}`);
+      try {
+        await fs.access(candidate);
+      } catch {
+        return candidate;
+      }
+    }
+  }
+
+  async function takeFile(fileName) {
+    const filePath = path.join(dir, fileName);
+    const text = await fs.readFile(filePath, 'utf8');
+    const fileId = fileName.replace(/[^A-Za-z0-9_.-]/g, '_').slice(0, 80);
+    let added = 0;
+
+    for (const { line, input, error } of readEntries(fileName, text)) {
+      const defaultId = `${fileId}-${line}`;
+      const parsed = error ? { ok: false, error } : parseSubmission(input);
+      const submission = parsed.ok
+        ? { ...parsed.value, localId: parsed.value.localId || defaultId }
+        : {
+          localId: defaultId,
+          command: typeof input?.command === 'string' ? input.command : 'Unknown',
+          error: `${fileName}:${line}: ${parsed.error}`,
+        };
+      const { created } = await source.submit(submission);
+      if (created) added++;
+    }
+
+    await fs.rename(filePath, await processedPathFor(fileName));
+    return added;
+  }
+
+  return {
+    ...source,
+
+    /**
+     * Take in the files waiting in the queue directory
+     * @returns {Promise<number>} - Commands added
+     */
+    async sync() {
+      await fs.mkdir(processedDir, { recursive: true });
+      const fileNames = (await fs.readdir(dir, { withFileTypes: true }))
+        .filter(entry => entry.isFile() && isCommandFile(entry.name))
+        .map(entry => entry.name)
+        .sort();
+
+      let added = 0;
+      for (const fileName of fileNames) {
+        added += await takeFile(fileName);
+      }
+      return added;
+    },
+  };
+}
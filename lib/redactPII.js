@@ -1,17 +1,203 @@
 // lib/redactPII.js
 import crypto from 'crypto';
 
-export function redactPII(obj = {}, fieldsToHash = ['email','phone','ssn','name']) {
-  const copy = JSON.parse(JSON.stringify(obj));
-  fieldsToHash.forEach(f => {
-    if (copy[f]) {
-      const hash = crypto.createHash('sha256').update(String(copy[f])).digest('hex');
-      copy[f] = `hash:${hash}`;
+/**
+ * `*_name` fields that never hold a person's name, so the person_name rule
+ * leaves them alone
+ */
+export const NON_PERSONAL_NAME_FIELDS = [
+  'command_name', 'route_name', 'event_name', 'workflow_name', 'schema_name', 'file_name',
+  'database_name', 'field_name', 'source_name', 'status_name', 'template_name', 'key_name',
+  'stream_name', 'company_name', 'business_name',
+];
+
+/**
+ * Fields redacted by name. `match` is a RegExp tested against the key, or a
+ * string compared with it case-insensitively. A matched field is redacted in
+ * full, including everything nested under it.
+ */
+export const DEFAULT_FIELD_RULES = [
+  { name: 'email', match: /e-?mail/i, action: 'hash' },
+  { name: 'phone', match: /phone|mobile|^fax$/i, action: 'hash' },
+  // `ssn`, `tin` and `dob` as `_`-separated words anywhere in the key: customer_ssn, dob_verified
+  { name: 'national_id', match: /(^|_)(ssn|tin)($|_)|social_security|national_id|tax_id/i, action: 'hash' },
+  { name: 'passport', match: /passport/i, action: 'hash' },
+  {
+    name: 'person_name',
+    match: new RegExp(`^(?!(${NON_PERSONAL_NAME_FIELDS.join('|')})$)(\\w+_)?name$|^surname$`, 'i'),
+    action: 'hash',
+  },
+  { name: 'address', match: /address|^street$|postcode|postal_code|zip_code/i, action: 'hash' },
+  { name: 'date_of_birth', match: /(^|_)dob($|_)|date_of_birth|birth_?date/i, action: 'hash' },
+  { name: 'bank_account', match: /iban|account_number|card_number/i, action: 'mask' },
+  // Large raw blobs are never worth keeping in logs
+  { name: 'raw_document', match: /^(raw_document|full_payload|document_bytes)$/, action: 'remove' },
+];
+
+function isValidIban(candidate) {
+  const iban = candidate.replace(/ /g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, c => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const d of digits) remainder = (remainder * 10 + Number(d)) % 97;
+  return remainder === 1;
+}
+
+function isLikelyPhone(candidate) {
+  const digitCount = candidate.replace(/\D/g, '').length;
+  if (digitCount < 9 || digitCount > 15) return false;
+  // Dates and timestamps have the same shape as some local phone formats
+  if (/^\d{4}-\d{2}-\d{2}/.test(candidate)) return false;
+  return candidate.startsWith('+') || /[\s().-]/.test(candidate);
+}
+
+/**
+ * Patterns found inside string values of any field, including free text.
+ * `validate` rejects look-alikes (IBAN checksum, timestamps). Matches must not
+ * touch other word characters or hyphens, so IDs and hashes aren't cut into.
+ */
+export const DEFAULT_DETECTORS = [
+  { name: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi, action: 'hash' },
+  { name: 'iban', pattern: /(?<![\w-])[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}(?![\w-])/g, validate: isValidIban, action: 'mask' },
+  { name: 'phone', pattern: /(?<![\w-])\+?\(?\d[\d\s().-]{6,}\d(?![\w-])/g, validate: isLikelyPhone, action: 'hash' },
+  { name: 'passport', pattern: /(?<![\w-])[A-Z]{1,2}\d{6,9}(?![\w-])/g, action: 'hash' },
+];
+
+const ACTIONS = ['hash', 'mask', 'remove'];
+
+function fieldMatches(rule, key) {
+  return rule.match instanceof RegExp
+    ? rule.match.test(key)
+    : String(rule.match).toLowerCase() === key.toLowerCase();
+}
+
+function maskText(text) {
+  if (text.length <= 4) return '*'.repeat(text.length);
+  const visible = text.length >= 8 ? 4 : 2;
+  return '*'.repeat(text.length - visible) + text.slice(-visible);
+}
+
+/**
+ * Create a redaction engine.
+ *
+ * Walks objects and arrays of any depth. Fields whose name matches a rule
+ * are redacted whole; string values elsewhere are scanned with the detectors
+ * and only the matching text is replaced. Actions:
+ * - `hash`: `hmac:<hex>` keyed with `key` (so values can still be correlated
+ *   without being guessable), or `hash:<sha256>` when no key is given
+ * - `mask`: all but the last few characters replaced with `*`
+ * - `remove`: the field is dropped; text matches become `[redacted:<name>]`
+ *
+ * @param {Object} [options]
+ * @param {Object[]} [options.fields=DEFAULT_FIELD_RULES] - `{ name, match, action }` field rules
+ * @param {Object[]} [options.detectors=DEFAULT_DETECTORS] - `{ name, pattern, validate?, action }` value detectors
+ * @param {string|Buffer} [options.key] - HMAC key for the `hash` action
+ * @returns {{ redact: Function }}
+ */
+export function createRedactor({ fields = DEFAULT_FIELD_RULES, detectors = DEFAULT_DETECTORS, key } = {}) {
+  for (const rule of [...fields, ...detectors]) {
+    if (!ACTIONS.includes(rule.action)) {
+      throw new Error(`Redaction rule '${rule.name}': action must be one of ${ACTIONS.join(', ')}`);
+    }
+  }
+  for (const detector of detectors) {
+    if (!(detector.pattern instanceof RegExp) || !detector.pattern.global) {
+      throw new Error(`Redaction detector '${detector.name}': pattern must be a global RegExp`);
+    }
+  }
+
+  function hash(text) {
+    return key
+      ? `hmac:${crypto.createHmac('sha256', key).update(text, 'utf8').digest('hex')}`
+      : `hash:${crypto.createHash('sha256').update(text, 'utf8').digest('hex')}`;
+  }
+
+  function apply(action, value) {
+    const text = String(value);
+    return action === 'hash' ? hash(text) : maskText(text);
+  }
+
+  // Redact every primitive under a matched field
+  function redactWhole(value, action) {
+    if (value === null || value === '') return value;
+    if (Array.isArray(value)) return value.map(v => redactWhole(v, action));
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactWhole(v, action)]));
+    }
+    return apply(action, value);
+  }
+
+  function scanText(text, path, report) {
+    let result = text;
+    for (const detector of detectors) {
+      result = result.replace(detector.pattern, (match) => {
+        if (detector.validate && !detector.validate(match)) return match;
+        report.push({ path, rule: detector.name, action: detector.action, in: 'value' });
+        return detector.action === 'remove' ? `[redacted:${detector.name}]` : apply(detector.action, match);
+      });
+    }
+    return result;
+  }
+
+  function walk(value, path, report) {
+    if (Array.isArray(value)) {
+      return value.map((item, i) => walk(item, `${path}[${i}]`, report));
+    }
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [k, v] of Object.entries(value)) {
+        const fieldPath = path ? `${path}.${k}` : k;
+        const rule = fields.find(r => fieldMatches(r, k));
+
+        if (!rule) {
+          result[k] = walk(v, fieldPath, report);
+        } else if (v === null || v === undefined || v === '') {
+          result[k] = v;
+        } else {
+          report.push({ path: fieldPath, rule: rule.name, action: rule.action, in: 'field' });
+          if (rule.action !== 'remove') result[k] = redactWhole(v, rule.action);
+        }
+      }
+      return result;
     }
-  });
-  // Remove large raw fields if present
-  ['raw_document','full_payload','document_bytes'].forEach(f => { if (copy[f]) delete copy[f]; });
-  return copy;
+    return typeof value === 'string' ? scanText(value, path, report) : value;
+  }
+
+  return {
+    /**
+     * Redact a JSON-compatible value without modifying it
+     * @param {*} input
+     * @returns {{ value: *, report: Object[] }} - The redacted copy, and one
+     *   `{ path, rule, action, in }` entry per redaction (`in` is 'field' or 'value')
+     */
+    redact(input) {
+      const report = [];
+      const copy = input === undefined ? undefined : JSON.parse(JSON.stringify(input));
+      return { value: walk(copy, '', report), report };
+    },
+  };
+}
+
+const defaultRedactor = createRedactor();
+
+/**
+ * Redact PII from an object (see createRedactor)
+ * @param {Object} [obj]
+ * @param {Object|string[]} [options] - createRedactor options; an array of
+ *   field names hashes fields with exactly those names, with no value detectors
+ * @returns {Object} - Redacted copy
+ */
+export function redactPII(obj = {}, options) {
+  const redactor = Array.isArray(options)
+    ? createRedactor({
+      fields: [
+        ...options.map(name => ({ name, match: name, action: 'hash' })),
+        DEFAULT_FIELD_RULES.find(rule => rule.name === 'raw_document'),
+      ],
+      detectors: [],
+    })
+    : options ? createRedactor(options) : defaultRedactor;
+  return redactor.redact(obj).value;
 }
 
 /**
@@ -30,9 +216,13 @@ export function createAuditSummary(obj, maxLength = 500) {
 /**
  * Hash a single value for consistent PII replacement
  * @param {string} value - The value to hash
+ * @param {string|Buffer} [key] - HMAC key; unkeyed SHA-256 without one
  * @returns {string} - The hash prefix
  */
-export function hashValue(value) {
+export function hashValue(value, key) {
+  if (key) {
+    return `hmac:${crypto.createHmac('sha256', key).update(String(value)).digest('hex')}`;
+  }
   const hash = crypto.createHash('sha256').update(String(value)).digest('hex');
   return `hash:${hash}`;
 }
@@ -1,34 +1,189 @@
 // lib/resolveEntityPageId.js
-import { Client } from '@notionhq/client';
-const notion = new Client({ auth: process.env.NOTION_TOKEN });
+import { createNotionAccess } from './notionClient.js';
+import { richTextToPlain } from './notionText.js';
 
-export async function resolveEntityPageId(correlationId, entitiesDbId = process.env.ENTITIES_DB_ID) {
-  if (!correlationId) return null;
-  const res = await notion.databases.query({
-    database_id: entitiesDbId,
-    filter: {
-      property: 'Correlation ID',
-      rich_text: { equals: correlationId }
+/** Notion accepts at most 100 conditions in one compound filter */
+const MAX_FILTER_CONDITIONS = 100;
+
+/**
+ * Create a cached resolver from correlation IDs to Entities page IDs.
+ *
+ * Lookups are batched into `or` filters of up to 100 IDs, following
+ * pagination. Matches are cached for `ttlMs`; IDs with no entity are cached
+ * for `negativeTtlMs`, so a page created since then is found once it expires.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.client] - Notion access wrapper or SDK client (otherwise built from `auth`)
+ * @param {string} [options.auth] - Notion integration token (default: NOTION_API_KEY)
+ * @param {string} [options.entitiesDbId] - Entities database ID (default: ENTITIES_DB_ID)
+ * @param {string} [options.property='Correlation ID'] - Rich text property holding the correlation ID
+ * @param {number} [options.ttlMs=300000] - How long a match is cached
+ * @param {number} [options.negativeTtlMs=60000] - How long a miss is cached
+ * @returns {{ resolve: Function, resolveMany: Function, invalidate: Function, clear: Function }}
+ */
+export function createEntityResolver({
+  client,
+  auth = process.env.NOTION_API_KEY,
+  entitiesDbId = process.env.ENTITIES_DB_ID,
+  property = 'Correlation ID',
+  ttlMs = 5 * 60 * 1000,
+  negativeTtlMs = 60 * 1000,
+} = {}) {
+  if (!entitiesDbId) {
+    throw new Error('Entity resolver: no Entities database ID (set ENTITIES_DB_ID)');
+  }
+  const notion = client || createNotionAccess({ auth });
+
+  // correlation ID -> { pageIds, expiresAt }
+  const cache = new Map();
+
+  async function queryAll(params) {
+    if (notion.queryAll) return notion.queryAll(params);
+    const results = [];
+    let cursor;
+    do {
+      const response = await notion.databases.query({ page_size: 100, ...params, start_cursor: cursor });
+      results.push(...response.results);
+      cursor = response.has_more ? response.next_cursor : undefined;
+    } while (cursor);
+    return results;
+  }
+
+  /**
+   * Look up IDs in Notion and cache the results
+   * @param {string[]} ids
+   * @returns {Promise<Map<string, string[]>>} - correlation ID -> page IDs
+   */
+  async function fetchChunk(ids) {
+    const pages = await queryAll({
+      database_id: entitiesDbId,
+      filter: { or: ids.map(id => ({ property, rich_text: { equals: id } })) },
+    });
+
+    const found = new Map(ids.map(id => [id, []]));
+    for (const page of pages) {
+      const id = richTextToPlain(page.properties[property]?.rich_text);
+      found.get(id)?.push(page.id);
+    }
+
+    const now = Date.now();
+    for (const [id, pageIds] of found) {
+      cache.set(id, { pageIds, expiresAt: now + (pageIds.length ? ttlMs : negativeTtlMs) });
+    }
+    return found;
+  }
+
+  /**
+   * Resolve several correlation IDs at once
+   * @param {string[]} correlationIds
+   * @returns {Promise<Object>} - `{ pageIds, missing, duplicates }`: a Map of
+   *   correlation ID -> page ID for unique matches, the IDs with no entity,
+   *   and a Map of correlation ID -> page IDs for IDs shared by several entities
+   */
+  async function resolveMany(correlationIds) {
+    const now = Date.now();
+    for (const [id, entry] of cache) {
+      if (entry.expiresAt <= now) cache.delete(id);
+    }
+
+    // Read the cache once: a concurrent call may expire entries while this one awaits Notion
+    const ids = [...new Set(correlationIds.filter(Boolean))];
+    const matches = new Map();
+    for (const id of ids) {
+      const entry = cache.get(id);
+      if (entry) matches.set(id, entry.pageIds);
+    }
+    const uncached = ids.filter(id => !matches.has(id));
+    for (let i = 0; i < uncached.length; i += MAX_FILTER_CONDITIONS) {
+      const found = await fetchChunk(uncached.slice(i, i + MAX_FILTER_CONDITIONS));
+      for (const [id, pageIds] of found) matches.set(id, pageIds);
+    }
+
+    const result = { pageIds: new Map(), missing: [], duplicates: new Map() };
+    for (const id of ids) {
+      const pageIds = matches.get(id) || [];
+      if (pageIds.length === 0) result.missing.push(id);
+      else if (pageIds.length === 1) result.pageIds.set(id, pageIds[0]);
+      else result.duplicates.set(id, [...pageIds]);
+    }
+    return result;
+  }
+
+  return {
+    resolveMany,
+
+    /**
+     * Every Entities page with a correlation ID: none when unknown, several
+     * when the ID is duplicated
+     * @param {string} correlationId
+     * @returns {Promise<string[]>}
+     */
+    async resolve(correlationId) {
+      if (!correlationId) return [];
+      const { pageIds, duplicates } = await resolveMany([correlationId]);
+      if (pageIds.has(correlationId)) return [pageIds.get(correlationId)];
+      return duplicates.get(correlationId) || [];
+    },
+
+    /** Forget a cached lookup, e.g. after creating the entity */
+    invalidate(correlationId) {
+      cache.delete(correlationId);
     },
-    page_size: 1
-  });
-  if (res.results && res.results.length) return res.results[0].id;
-  return null;
+
+    clear() {
+      cache.clear();
+    },
+  };
+}
+
+// Shared resolvers for the functions below, one per client and Entities database
+const defaultResolvers = new Map();
+const clientResolvers = new WeakMap();
+
+function defaultResolver(entitiesDbId, client) {
+  const resolvers = client ? clientResolvers.get(client) || new Map() : defaultResolvers;
+  if (client) clientResolvers.set(client, resolvers);
+  if (!resolvers.has(entitiesDbId)) {
+    resolvers.set(entitiesDbId, createEntityResolver({ client, entitiesDbId }));
+  }
+  return resolvers.get(entitiesDbId);
+}
+
+/**
+ * Find the Entities page whose Correlation ID matches. When several entities
+ * share the ID, the first is returned; use resolveEntityMatches to detect that.
+ * @param {string} correlationId
+ * @param {string} entitiesDbId - The Notion Entities database ID
+ * @param {Object} [client] - Notion client or access wrapper (default: one built from NOTION_API_KEY)
+ * @returns {Promise<string|null>} - Entity page ID, or null when there is no match
+ */
+export async function resolveEntityPageId(correlationId, entitiesDbId = process.env.ENTITIES_DB_ID, client) {
+  if (!correlationId) return null;
+  const pageIds = await defaultResolver(entitiesDbId, client).resolve(correlationId);
+  return pageIds[0] || null;
 }
 
 /**
- * Resolve multiple correlation IDs to page IDs in batch
+ * Resolve multiple correlation IDs to page IDs in batch. IDs with no entity
+ * are left out; duplicated IDs map to their first entity.
  * @param {string[]} correlationIds - Array of correlation IDs
  * @param {string} entitiesDbId - The Notion Entities database ID
  * @returns {Promise<Map<string, string>>} - Map of correlationId -> pageId
  */
 export async function resolveEntityPageIds(correlationIds, entitiesDbId = process.env.ENTITIES_DB_ID) {
-  const results = new Map();
-  for (const corrId of correlationIds) {
-    const pageId = await resolveEntityPageId(corrId, entitiesDbId);
-    if (pageId) {
-      results.set(corrId, pageId);
-    }
+  const { pageIds, duplicates } = await resolveEntityMatches(correlationIds, entitiesDbId);
+  for (const [correlationId, matches] of duplicates) {
+    pageIds.set(correlationId, matches[0]);
   }
-  return results;
+  return pageIds;
+}
+
+/**
+ * Resolve multiple correlation IDs in batch, reporting misses and duplicates
+ * @param {string[]} correlationIds - Array of correlation IDs
+ * @param {string} entitiesDbId - The Notion Entities database ID
+ * @returns {Promise<Object>} - `{ pageIds, missing, duplicates }` (see createEntityResolver)
+ */
+export async function resolveEntityMatches(correlationIds, entitiesDbId = process.env.ENTITIES_DB_ID) {
+  return defaultResolver(entitiesDbId).resolveMany(correlationIds);
 }
@@ -0,0 +1,102 @@
+// lib/retryPolicy.js
+
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 60000,
+  multiplier: 2,
+  // Fraction of the delay randomised in both directions (0.2 => ±20%)
+  jitter: 0.2,
+  retryOnStatus: [408, 425, 429, 500, 502, 503, 504],
+  retryNetworkErrors: true,
+  respectRetryAfter: true,
+};
+
+/**
+ * Merge retry policy layers, later layers winning
+ * @param {...Object} layers - Partial policies (undefined values are ignored)
+ * @returns {Object} - Complete retry policy
+ */
+export function resolveRetryPolicy(...layers) {
+  const policy = { ...DEFAULT_RETRY_POLICY };
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  return policy;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now=Date.now()]
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(parseFloat(trimmed) * 1000);
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff delay for a given failed attempt, with jitter
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @returns {number} - Delay in milliseconds
+ */
+export function computeBackoffDelay(policy, attempt) {
+  const raw = policy.baseDelayMs * Math.pow(policy.multiplier, attempt - 1);
+  const capped = Math.min(raw, policy.maxDelayMs);
+  const spread = capped * policy.jitter;
+  return Math.max(0, Math.round(capped - spread + Math.random() * 2 * spread));
+}
+
+/**
+ * Whether a failure is transient under the policy.
+ * @param {Object} policy - Retry policy
+ * @param {Object} failure - `{ status }` for HTTP errors, `{ network: true }` for transport errors
+ * @returns {boolean}
+ */
+export function isRetryableFailure(policy, failure) {
+  if (failure.status) return policy.retryOnStatus.includes(failure.status);
+  if (failure.network) return policy.retryNetworkErrors;
+  return false;
+}
+
+/**
+ * Delay before the next attempt, honoring Retry-After when the policy allows.
+ * Never exceeds maxDelayMs so one command can't stall the queue indefinitely.
+ * @param {Object} policy - Retry policy
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ * @param {Object} failure - May carry `retryAfterMs`
+ * @returns {number} - Delay in milliseconds
+ */
+export function getRetryDelay(policy, attempt, failure = {}) {
+  if (policy.respectRetryAfter && typeof failure.retryAfterMs === 'number') {
+    return Math.min(failure.retryAfterMs, policy.maxDelayMs);
+  }
+  return computeBackoffDelay(policy, attempt);
+}
+
+/**
+ * Promise-based sleep
+ * @param {number} ms
+ * @param {AbortSignal} [signal] - Wakes the sleep early when aborted
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const wake = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', wake);
+      resolve();
+    };
+    const timer = setTimeout(wake, ms);
+    signal?.addEventListener('abort', wake, { once: true });
+  });
+}
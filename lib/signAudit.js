@@ -1,19 +1,55 @@
 // lib/signAudit.js
 import crypto from 'crypto';
+import { toKeyring, formatSignature, SIGNATURE_ALGORITHM, SIGNATURE_ENVELOPE_VERSION } from './keyring.js';
+import { canonicalJson, CANONICAL_JSON_VERSION } from './canonicalJson.js';
 
-export function signAudit(auditPayload, hmacKey = process.env.HMAC_KEY) {
-  const payload = typeof auditPayload === 'string' ? auditPayload : JSON.stringify(auditPayload);
-  return crypto.createHmac('sha256', hmacKey).update(payload, 'utf8').digest('hex');
+/**
+ * The exact text a payload is signed or hashed as. Strings are used as-is;
+ * objects are canonical JSON, or JSON.stringify output for signatures made
+ * before envelope version v2.
+ * @param {string|Object} payload
+ * @param {string|null} [version] - Envelope version of the signature (null for bare legacy digests)
+ * @returns {string}
+ */
+export function serializeForSigning(payload, version = SIGNATURE_ENVELOPE_VERSION) {
+  if (typeof payload === 'string') return payload;
+  return version === 'v1' || version === null ? JSON.stringify(payload) : canonicalJson(payload);
+}
+
+/**
+ * HMAC-SHA256 hex digest of a payload (strings as-is, anything else as canonical JSON)
+ * @param {string|Object} payload
+ * @param {string} secret
+ * @returns {string}
+ */
+export function computeHmac(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(serializeForSigning(payload), 'utf8').digest('hex');
+}
+
+/**
+ * Sign an audit payload with the keyring's active key
+ * @param {string|Object} auditPayload
+ * @param {Object|string} [keyring] - createKeyring result, or a bare secret (key ID 'default')
+ * @returns {string} - Signature envelope `v2:hmac-sha256:<keyId>:<digest>`
+ */
+export function signAudit(auditPayload, keyring = process.env.HMAC_KEY) {
+  const { id, secret } = toKeyring(keyring).current;
+  return formatSignature({
+    version: SIGNATURE_ENVELOPE_VERSION,
+    algorithm: SIGNATURE_ALGORITHM,
+    keyId: id,
+    digest: computeHmac(auditPayload, secret),
+  });
 }
 
 /**
  * Create a signed audit entry object ready for Notion
  * @param {Object} auditData - The audit data
- * @param {string} [hmacKey] - The HMAC key
+ * @param {Object|string} [keyring] - createKeyring result, or a bare secret
  * @returns {Object} - Audit data with signature added
  */
-export function createSignedAudit(auditData, hmacKey = process.env.HMAC_KEY) {
-  const signature = signAudit(auditData, hmacKey);
+export function createSignedAudit(auditData, keyring = process.env.HMAC_KEY) {
+  const signature = signAudit(auditData, keyring);
   return {
     ...auditData,
     signature,
@@ -22,10 +58,33 @@ export function createSignedAudit(auditData, hmacKey = process.env.HMAC_KEY) {
 }
 
 /**
- * Compute prompt hash for deterministic prompt tracking
- * @param {string} promptText - The exact prompt text sent to the model
- * @returns {string} - SHA-256 hash of the prompt
+ * Compute prompt hash for deterministic prompt tracking.
+ * Text is NFC-normalized, so the same prompt hashes the same after passing
+ * through systems that recompose Unicode; structured prompts (e.g. a
+ * messages array) are hashed as canonical JSON. The hash is prefixed with
+ * the canonical form's version, which tells it apart from the unprefixed
+ * hashes of the raw text made before.
+ * @param {string|Object} prompt - The prompt text, or the structured prompt sent to the model
+ * @returns {string} - `c1:<SHA-256 hex>`
+ */
+export function computePromptHash(prompt) {
+  const text = typeof prompt === 'string' ? prompt.normalize('NFC') : canonicalJson(prompt);
+  return `${CANONICAL_JSON_VERSION}:${sha256(text)}`;
+}
+
+/**
+ * Check a prompt hash from computePromptHash, or an unprefixed legacy hash
+ * of the exact prompt text
+ * @param {string|Object} prompt
+ * @param {string} hash
+ * @returns {boolean}
  */
-export function computePromptHash(promptText) {
-  return crypto.createHash('sha256').update(promptText, 'utf8').digest('hex');
+export function verifyPromptHash(prompt, hash) {
+  if (typeof hash !== 'string') return false;
+  if (hash.startsWith(`${CANONICAL_JSON_VERSION}:`)) return computePromptHash(prompt) === hash;
+  return !hash.includes(':') && typeof prompt === 'string' && sha256(prompt) === hash;
+}
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text, 'utf8').digest('hex');
 }
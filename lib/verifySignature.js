@@ -1,10 +1,41 @@
 // lib/verifySignature.js
 import crypto from 'crypto';
+import { computeHmac, serializeForSigning } from './signAudit.js';
+import { toKeyring, parseSignature, SIGNATURE_ALGORITHM } from './keyring.js';
 
-export function verifySignature(payload, signatureHex, hmacKey = process.env.HMAC_KEY) {
-  const expected = crypto.createHmac('sha256', hmacKey).update(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8').digest('hex');
-  const a = Buffer.from(expected, 'hex');
-  const b = Buffer.from(signatureHex || '', 'hex');
+/**
+ * Constant-time check of a hex HMAC-SHA256 digest
+ * @param {string|Object} payload
+ * @param {string} digestHex
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export function verifyHmac(payload, digestHex, secret) {
+  const a = Buffer.from(computeHmac(payload, secret), 'hex');
+  const b = Buffer.from(digestHex || '', 'hex');
   if (a.length !== b.length) return false;
   return crypto.timingSafeEqual(a, b);
 }
+
+/**
+ * Verify an audit signature. Envelopes are checked with the key they name,
+ * active or retired; legacy bare digests are tried against every key. The
+ * payload is serialized the way the signature's envelope version did it, so
+ * a v2 signature survives key reordering and JSON round trips.
+ * @param {string|Object} payload
+ * @param {string} signature - Envelope from signAudit, or a legacy hex digest
+ * @param {Object|string} [keyring] - createKeyring result, or a bare secret
+ * @returns {boolean}
+ */
+export function verifySignature(payload, signature, keyring = process.env.HMAC_KEY) {
+  const parsed = parseSignature(signature);
+  if (!parsed || parsed.algorithm !== SIGNATURE_ALGORITHM) return false;
+
+  const ring = toKeyring(keyring);
+  const text = serializeForSigning(payload, parsed.version);
+  if (parsed.legacy) {
+    return ring.keys.some(key => verifyHmac(text, parsed.digest, key.secret));
+  }
+  const key = ring.get(parsed.keyId);
+  return Boolean(key) && verifyHmac(text, parsed.digest, key.secret);
+}
@@ -0,0 +1,130 @@
+// lib/webhookSignature.js
+import crypto from 'crypto';
+import { computeHmac } from './signAudit.js';
+import { verifyHmac } from './verifySignature.js';
+import { canonicalJson } from './canonicalJson.js';
+
+export const SIGNATURE_HEADERS = {
+  timestamp: 'X-ArchonRI-Timestamp',
+  nonce: 'X-ArchonRI-Nonce',
+  signature: 'X-ArchonRI-Signature',
+};
+
+const SIGNATURE_VERSION = 'v1';
+
+/**
+ * Serialize a JSON value with object keys sorted at every level.
+ * Superseded by canonicalJson, which also normalizes Unicode and numbers;
+ * kept because audit entries signed before envelope v2 were hashed with it.
+ * Bodies sent by signWebhookRequest are already NFC with sorted keys, so
+ * receivers re-serializing with this function still get the signed bytes.
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalizeBody(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalizeBody).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalizeBody(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * The exact string that is signed: version, timestamp, nonce and body joined by '.'
+ * @param {string|number} timestamp - Unix seconds
+ * @param {string} nonce
+ * @param {string} body - Canonical body
+ * @returns {string}
+ */
+export function buildSigningString(timestamp, nonce, body) {
+  return `${SIGNATURE_VERSION}.${timestamp}.${nonce}.${body}`;
+}
+
+/**
+ * Sign an outbound webhook body
+ * @param {Object} payload - JSON payload to send
+ * @param {string} hmacKey - Shared signing key
+ * @returns {{ body: string, headers: Object }} - Canonical body and signature headers
+ */
+export function signWebhookRequest(payload, hmacKey) {
+  const body = canonicalJson(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const nonce = crypto.randomUUID();
+  const signature = computeHmac(buildSigningString(timestamp, nonce, body), hmacKey);
+
+  return {
+    body,
+    headers: {
+      [SIGNATURE_HEADERS.timestamp]: String(timestamp),
+      [SIGNATURE_HEADERS.nonce]: nonce,
+      [SIGNATURE_HEADERS.signature]: `${SIGNATURE_VERSION}=${signature}`,
+    },
+  };
+}
+
+/**
+ * Verify a signed webhook request.
+ *
+ * Rejects stale timestamps and, when a nonce store is given, replayed nonces.
+ * @param {Object} headers - Request headers (any case)
+ * @param {string|Object} body - Raw body, or the parsed JSON (re-canonicalized)
+ * @param {string} hmacKey - Shared signing key
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSec=300] - Allowed clock skew / age
+ * @param {Object} [options.nonceStore] - From createNonceStore()
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+export function verifyWebhookRequest(headers, body, hmacKey, { toleranceSec = 300, nonceStore } = {}) {
+  const get = (name) => {
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+    return key ? headers[key] : undefined;
+  };
+
+  const timestamp = get(SIGNATURE_HEADERS.timestamp);
+  const nonce = get(SIGNATURE_HEADERS.nonce);
+  const header = get(SIGNATURE_HEADERS.signature);
+  if (!timestamp || !nonce || !header) return { valid: false, reason: 'missing signature headers' };
+
+  const [version, signature] = String(header).split('=');
+  if (version !== SIGNATURE_VERSION || !signature) return { valid: false, reason: 'unsupported signature version' };
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp, 10));
+  if (!(age <= toleranceSec)) return { valid: false, reason: 'timestamp outside tolerance' };
+
+  const canonicalBody = typeof body === 'string' ? body : canonicalJson(body);
+  if (!verifyHmac(buildSigningString(timestamp, nonce, canonicalBody), signature, hmacKey)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+
+  if (nonceStore && !nonceStore.claim(nonce, toleranceSec * 1000)) {
+    return { valid: false, reason: 'nonce already used' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * In-memory store of recently seen nonces, for replay protection
+ * @returns {{ claim: Function }}
+ */
+export function createNonceStore() {
+  const seen = new Map();
+  return {
+    /**
+     * Record a nonce; false if it was already seen within its TTL
+     * @param {string} nonce
+     * @param {number} ttlMs
+     * @returns {boolean}
+     */
+    claim(nonce, ttlMs) {
+      const now = Date.now();
+      for (const [n, expires] of seen) {
+        if (expires <= now) seen.delete(n);
+      }
+      if (seen.has(nonce)) return false;
+      seen.set(nonce, now + ttlMs);
+      return true;
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// lib/workerPool.js
+
+/**
+ * Create a bounded worker pool with per-key ordering.
+ *
+ * At most `concurrency` tasks run at once. Tasks sharing a key run one at a
+ * time in the order they were submitted; tasks with a null key are unordered.
+ * `run` never refuses work: callers apply backpressure by submitting no more
+ * than `capacity` tasks.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.concurrency=1] - Tasks running at once
+ * @param {number} [options.maxQueued] - Tasks allowed to wait (default: concurrency)
+ * @returns {{ run: Function, capacity: number, active: number, queued: number }}
+ */
+export function createWorkerPool({ concurrency = 1, maxQueued = concurrency } = {}) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Worker concurrency must be a positive integer, got ${concurrency}`);
+  }
+
+  const waiting = [];
+  const busyKeys = new Set();
+  let active = 0;
+
+  function start(job) {
+    active++;
+    if (job.key !== null) busyKeys.add(job.key);
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        if (job.key !== null) busyKeys.delete(job.key);
+        pump();
+      });
+  }
+
+  function pump() {
+    // Waiting jobs are in submission order, so the first runnable job for a key is its oldest
+    for (let i = 0; i < waiting.length && active < concurrency;) {
+      if (waiting[i].key !== null && busyKeys.has(waiting[i].key)) {
+        i++;
+        continue;
+      }
+      start(waiting.splice(i, 1)[0]);
+    }
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {string|null} key - Ordering key (e.g. an entity ID)
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} - Settles with the task's result
+     */
+    run(key, task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ key: key ?? null, task, resolve, reject });
+        pump();
+      });
+    },
+
+    /** Tasks that can be submitted before the pool is full */
+    get capacity() {
+      return Math.max(0, concurrency + maxQueued - active - waiting.length);
+    },
+
+    get active() {
+      return active;
+    },
+
+    get queued() {
+      return waiting.length;
+    },
+  };
+}
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+/**
+ * scripts/send-notion-event.js
+ *
+ * Sends a fake Notion webhook event to a running brain, signed the way
+ * Notion signs them, to exercise webhook-driven change detection locally
+ * without a public URL or a real subscription.
+ *
+ * Usage:
+ *   NOTION_WEBHOOK_SECRET=xxx node scripts/send-notion-event.js <page ID> [event type]
+ *   node scripts/send-notion-event.js --verification
+ *
+ * The event type defaults to page.properties_updated. `--verification` sends
+ * the one-time verification request Notion makes when a subscription is
+ * created. BRAIN_URL sets the target (default: http://localhost:$PORT).
+ *
+ * Exit codes:
+ *   0 - Event accepted
+ *   1 - Event rejected
+ *   2 - Could not send it
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import { NOTION_SIGNATURE_HEADER, signNotionEvent } from '../lib/notionEvents.js';
+
+const [target, type = 'page.properties_updated'] = process.argv.slice(2);
+const brainUrl = process.env.BRAIN_URL || `http://localhost:${process.env.PORT || 3000}`;
+const secret = process.env.NOTION_WEBHOOK_SECRET;
+
+if (!target) {
+  console.error('Usage: node scripts/send-notion-event.js <page ID> [event type] | --verification');
+  process.exit(2);
+}
+
+let body;
+if (target === '--verification') {
+  body = { verification_token: `secret_${crypto.randomBytes(24).toString('hex')}` };
+} else {
+  if (!secret) {
+    console.error('NOTION_WEBHOOK_SECRET is required to sign events');
+    process.exit(2);
+  }
+  body = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    workspace_id: 'local-test',
+    subscription_id: 'local-test',
+    integration_id: 'local-test',
+    type,
+    authors: [{ id: 'local-test', type: 'person' }],
+    attempt_number: 1,
+    entity: { id: target, type: 'page' },
+    data: { parent: { id: process.env.COMMANDS_DB_ID || null, type: 'database' } },
+  };
+}
+
+const rawBody = JSON.stringify(body);
+const headers = { 'Content-Type': 'application/json' };
+if (secret && !body.verification_token) {
+  headers[NOTION_SIGNATURE_HEADER] = signNotionEvent(rawBody, secret);
+}
+
+try {
+  const response = await fetch(`${brainUrl}/notion/webhook`, { method: 'POST', headers, body: rawBody });
+  console.log(`${response.status} ${await response.text()}`);
+  process.exit(response.ok ? 0 : 1);
+} catch (error) {
+  console.error(`Could not reach ${brainUrl}: ${error.message}`);
+  process.exit(2);
+}
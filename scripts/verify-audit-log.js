@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * scripts/verify-audit-log.js
+ *
+ * Verifies the hash-chained audit trail written by the brain: every
+ * signature, every entry hash, and every per-stream link and sequence number.
+ * Reports the first broken link, bad signature or gap in each stream.
+ *
+ * Usage:
+ *   HMAC_KEY=xxx node scripts/verify-audit-log.js [path/to/audit-log.jsonl]
+ *   HMAC_KEY=xxx NOTION_API_KEY=xxx AUDITS_DB_ID=xxx node scripts/verify-audit-log.js --notion
+ *
+ * Entries name the key that signed them. Keys rotated out since then must be
+ * listed in HMAC_KEY_RETIRED (`id:secret,...`), with HMAC_KEY_ID naming the
+ * current key, exactly as the brain is configured.
+ *
+ * The file defaults to AUDIT_LOG_PATH or ./data/audit-log.jsonl and is
+ * checked in file order. Notion has no inherent order, so entries from the
+ * Audits database are checked in seq order per stream: gaps and broken links
+ * are caught, but a swap of two entries' positions is not.
+ *
+ * Exit codes:
+ *   0 - Chain intact
+ *   1 - Problems found
+ *   2 - Could not read the log
+ */
+
+import 'dotenv/config';
+import fs from 'fs/promises';
+import { verifyAuditChain } from '../lib/auditChain.js';
+import { createNotionAccess } from '../lib/notionClient.js';
+import { richTextToPlain } from '../lib/notionText.js';
+import { keyringFromEnv } from '../lib/keyring.js';
+
+async function readFileEntries(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  const entries = [];
+  content.split('\n').forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      throw new Error(`line ${i + 1} is not valid JSON (truncated write?)`);
+    }
+  });
+  return entries;
+}
+
+async function readNotionEntries() {
+  const auditsDbId = process.env.AUDITS_DB_ID;
+  if (!auditsDbId) throw new Error('AUDITS_DB_ID is required with --notion');
+
+  const notion = createNotionAccess({ auth: process.env.NOTION_API_KEY });
+  const pages = await notion.queryAll({ database_id: auditsDbId });
+  const entries = pages.map(page => {
+    // The Entry property holds the whole entry, split across rich_text segments
+    try {
+      return JSON.parse(richTextToPlain(page.properties.Entry?.rich_text));
+    } catch {
+      throw new Error(`Audits page ${page.id} has no readable Entry (not valid JSON)`);
+    }
+  });
+
+  return entries.sort((a, b) =>
+    a.stream === b.stream ? a.seq - b.seq : String(a.stream).localeCompare(String(b.stream))
+  );
+}
+
+async function main() {
+  let keyring;
+  try {
+    keyring = keyringFromEnv('HMAC_KEY', process.env, process.env.WEBHOOK_SIGNING_KEY);
+  } catch (err) {
+    console.error(`❌ Invalid signing keys: ${err.message}`);
+    process.exit(2);
+  }
+  if (!keyring) {
+    console.error('❌ HMAC_KEY is required to verify signatures.');
+    process.exit(2);
+  }
+
+  const useNotion = process.argv.includes('--notion');
+  const filePath = process.argv.slice(2).find(a => !a.startsWith('--')) ||
+    process.env.AUDIT_LOG_PATH || './data/audit-log.jsonl';
+
+  let entries;
+  try {
+    entries = useNotion ? await readNotionEntries() : await readFileEntries(filePath);
+  } catch (err) {
+    console.error(`❌ Failed to read audit log: ${err.message}`);
+    process.exit(2);
+  }
+
+  const report = verifyAuditChain(entries, keyring);
+
+  console.log('========================================');
+  console.log('AUDIT CHAIN VERIFICATION');
+  console.log('========================================');
+  console.log(`Source: ${useNotion ? `Notion (${process.env.AUDITS_DB_ID.slice(0, 8)}...)` : filePath}`);
+  console.log(`Entries: ${report.checked}`);
+  console.log(`Streams: ${report.streams}`);
+  console.log();
+
+  if (report.ok) {
+    console.log('✅ All chains intact');
+  } else {
+    console.log(`❌ ${report.problems.length} stream(s) broken:`);
+    for (const p of report.problems) {
+      const where = useNotion ? `seq ${p.seq}` : `entry ${p.index + 1}, seq ${p.seq}`;
+      console.log(`  - ${p.stream} @ ${where}: ${p.type} - ${p.message}`);
+    }
+  }
+  console.log('========================================');
+
+  process.exit(report.ok ? 0 : 1);
+}
+
+main().catch(err => {
+  console.error('Fatal error:', err);
+  process.exit(2);
+});
@@ -16,6 +16,8 @@ except ImportError:
 # Configuration - Set these environment variables before running
 NOTION_API_KEY = os.environ.get("NOTION_API_KEY")
 PARENT_PAGE_ID = os.environ.get("NOTION_PARENT_PAGE_ID")
+# Optional: existing Entities database to link commands to
+ENTITIES_DB_ID = os.environ.get("ENTITIES_DB_ID")
 
 if not NOTION_API_KEY:
     raise ValueError("NOTION_API_KEY environment variable is required")
@@ -30,16 +32,47 @@ COMMANDS_SCHEMA = {
         "select": {
             "options": [
                 {"name": "Deploy", "color": "blue"},
+                {"name": "Scheduled", "color": "default"},
+                {"name": "Awaiting Approval", "color": "purple"},
                 {"name": "Processing", "color": "yellow"},
+                {"name": "Retrying", "color": "orange"},
+                {"name": "Awaiting Callback", "color": "purple"},
                 {"name": "Completed", "color": "green"},
                 {"name": "Failed", "color": "red"},
-                {"name": "Cancelled", "color": "gray"}
+                {"name": "Dead Letter", "color": "brown"},
+                {"name": "Cancelled", "color": "gray"},
+                {"name": "Skipped", "color": "pink"}
             ]
         }
     },
     "Entity ID": {"rich_text": {}},
     "Payload": {"rich_text": {}},
     "Notes": {"rich_text": {}},
+    "Run At": {"date": {}},
+    "Schedule": {"rich_text": {}},
+    "Approved By": {"people": {}},
+    "Created": {"created_time": {}}
+}
+
+AUDIT_EVENTS = [
+    "picked_up", "processing", "dispatched", "response_received",
+    "retry_scheduled", "awaiting_callback", "callback_received",
+    "completed", "failed", "dead_lettered", "requeued", "recovered",
+    "replay_requested", "cancelled", "scheduled", "run_created", "skipped",
+    "approval_requested", "approved", "released"
+]
+
+AUDITS_SCHEMA = {
+    "Name": {"title": {}},
+    "Event": {"select": {"options": [{"name": e} for e in AUDIT_EVENTS]}},
+    "Page ID": {"rich_text": {}},
+    "Correlation ID": {"rich_text": {}},
+    "Payload Hash": {"rich_text": {}},
+    "Signature": {"rich_text": {}},
+    "Stream": {"rich_text": {}},
+    "Seq": {"number": {}},
+    "Entry Hash": {"rich_text": {}},
+    "Entry": {"rich_text": {}},
     "Created": {"created_time": {}}
 }
 
@@ -57,12 +90,39 @@ def create_commands_database():
     db_id = response["id"]
     db_id_clean = db_id.replace("-", "")
 
+    # Self-relations can only be added once the database exists
+    relations = {
+        "Parent Command": {"relation": {"database_id": db_id, "single_property": {}}},
+        "Depends On": {"relation": {"database_id": db_id, "single_property": {}}}
+    }
+    if ENTITIES_DB_ID:
+        relations["Entity"] = {"relation": {"database_id": ENTITIES_DB_ID, "single_property": {}}}
+    notion.databases.update(database_id=db_id, properties=relations)
+
     print(f"\n✅ Commands database created!")
     print(f"   Database ID: {db_id}")
     print(f"   Clean ID (for env): {db_id_clean}")
 
     return db_id_clean
 
+def create_audits_database():
+    """Create the Audits database for the command audit trail."""
+    print("Creating Audits database...")
+
+    response = notion.databases.create(
+        parent={"type": "page_id", "page_id": PARENT_PAGE_ID},
+        title=[{"type": "text", "text": {"content": "Audits — Brain Lifecycle"}}],
+        icon={"type": "emoji", "emoji": "🧾"},
+        properties=AUDITS_SCHEMA
+    )
+
+    db_id_clean = response["id"].replace("-", "")
+
+    print(f"\n✅ Audits database created!")
+    print(f"   Clean ID (for env): {db_id_clean}")
+
+    return db_id_clean
+
 def main():
     print("="*50)
     print("ArchonRI Brain - Notion Setup")
@@ -71,10 +131,12 @@ def main():
 
     # Create Commands database
     commands_db_id = create_commands_database()
+    audits_db_id = create_audits_database()
 
     # Save to file
     result = {
-        "COMMANDS_DB_ID": commands_db_id
+        "COMMANDS_DB_ID": commands_db_id,
+        "AUDITS_DB_ID": audits_db_id
     }
 
     with open("notion_db_ids.json", "w") as f:
@@ -84,7 +146,8 @@ def main():
     print("Setup Complete!")
     print("="*50)
     print(f"\nCOMMANDS_DB_ID={commands_db_id}")
-    print("\nAdd this to your Railway environment variables.")
+    print(f"AUDITS_DB_ID={audits_db_id}")
+    print("\nAdd these to your Railway environment variables.")
     print("\nDatabase IDs saved to: notion_db_ids.json")
 
 if __name__ == "__main__":
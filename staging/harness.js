@@ -15,7 +15,9 @@
  *
  * Environment variables:
  *   NOTION_TOKEN       - Notion API token
- *   HMAC_KEY           - HMAC key for signing audits
+ *   HMAC_KEY           - HMAC key for signing audits (HMAC_KEY_ID names it)
+ *   TEST_MODE          - (optional) 'true' to allow a weak HMAC_KEY, or sign
+ *                        with a throwaway key when HMAC_KEY is unset
  *   TASKS_DB_ID        - Notion Tasks/Audit database ID
  *   DECISION_DB_ID     - Notion Decision Log database ID
  *   AGENT_OUTPUTS_DB_ID - Notion Agent Outputs database ID
@@ -30,6 +32,10 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { redactPII } from '../lib/redactPII.js';
+import { signAudit, computePromptHash, verifyPromptHash } from '../lib/signAudit.js';
+import { verifySignature } from '../lib/verifySignature.js';
+import { createKeyring, keyringFromEnv, checkSigningKey, isTestMode } from '../lib/keyring.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -45,7 +51,8 @@ const config = {
     agentOutputsDbId: process.env.AGENT_OUTPUTS_DB_ID,
     entitiesDbId: process.env.ENTITIES_DB_ID,
   },
-  hmacKey: process.env.HMAC_KEY || 'staging-test-key-replace-in-prod',
+  // Signing keyring, set up below
+  keyring: null,
   screeningEndpoint: process.env.SCREENING_ENDPOINT,
   testCount: parseInt(process.env.TEST_COUNT || '5', 10),
 };
@@ -59,51 +66,31 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
-const notion = new Client({ auth: config.notion.token });
-
-// ============================================================
-// HELPERS (inline for standalone script)
-// ============================================================
-
-function redactPII(obj) {
-  const piiFields = ['email', 'phone', 'ssn', 'address', 'dob'];
-  const copy = JSON.parse(JSON.stringify(obj));
-
-  function redact(o) {
-    if (Array.isArray(o)) return o.map(redact);
-    if (o && typeof o === 'object') {
-      const result = {};
-      for (const [k, v] of Object.entries(o)) {
-        const kLower = k.toLowerCase();
-        if (piiFields.some(f => kLower.includes(f))) {
-          result[k] = v ? `hash:${crypto.createHash('sha256').update(String(v)).digest('hex').slice(0, 16)}` : v;
-        } else {
-          result[k] = redact(v);
-        }
-      }
-      return result;
-    }
-    return o;
-  }
-  return redact(copy);
+try {
+  config.keyring = keyringFromEnv('HMAC_KEY');
+} catch (err) {
+  console.error(`[FATAL] Invalid signing keys: ${err.message}`);
+  process.exit(1);
 }
 
-function signAudit(payload, key) {
-  const str = typeof payload === 'string' ? payload : JSON.stringify(payload);
-  return crypto.createHmac('sha256', key).update(str, 'utf8').digest('hex');
+if (!isTestMode()) {
+  const problem = checkSigningKey(config.keyring?.current.secret);
+  if (problem) {
+    console.error(`[FATAL] HMAC_KEY is not usable for signing: ${problem} (TEST_MODE=true allows it for local testing)`);
+    process.exit(1);
+  }
+} else if (!config.keyring) {
+  config.keyring = createKeyring({
+    keys: [{ id: 'test-throwaway', secret: crypto.randomBytes(32).toString('hex') }],
+  });
+  console.warn('[WARN] TEST_MODE: HMAC_KEY not set; signing with a throwaway key');
 }
 
-function verifySignature(payload, sig, key) {
-  const expected = signAudit(payload, key);
-  const a = Buffer.from(expected, 'hex');
-  const b = Buffer.from(sig || '', 'hex');
-  if (a.length !== b.length) return false;
-  return crypto.timingSafeEqual(a, b);
-}
+const notion = new Client({ auth: config.notion.token });
 
-function computePromptHash(promptText) {
-  return crypto.createHash('sha256').update(promptText, 'utf8').digest('hex');
-}
+// ============================================================
+// HELPERS
+// ============================================================
 
 function generateCorrelationId() {
   return `corr-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
@@ -274,7 +261,7 @@ async function runSingleTest(index) {
       input_summary: JSON.stringify(redactPII(applicant)).slice(0, 200),
       timestamp: new Date().toISOString(),
     };
-    const signature = signAudit(auditSummary, config.hmacKey);
+    const signature = signAudit(auditSummary, config.keyring);
 
     // 4. AUDIT-FIRST: Write audit entry before any other action
     const auditResult = await writeAuditEntry({
@@ -288,14 +275,14 @@ async function runSingleTest(index) {
     }
 
     // 5. Verify signature
-    result.signature_valid = verifySignature(auditSummary, signature, config.hmacKey);
+    result.signature_valid = verifySignature(auditSummary, signature, config.keyring);
 
     // 6. Call screening handler (or simulate)
     const screeningResult = await callScreeningHandler(applicant, promptHash);
 
     // 7. Verify prompt hash matches
     if (screeningResult.success) {
-      result.prompt_hash_match = screeningResult.prompt_hash === promptHash;
+      result.prompt_hash_match = verifyPromptHash(prompt, screeningResult.prompt_hash);
       if (!result.prompt_hash_match) {
         result.errors.push('Prompt hash mismatch');
       }
@@ -0,0 +1,65 @@
+// test/approvalPolicy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createApprovalPolicy, loadApprovalPolicy, checkApproval } from '../lib/approvalPolicy.js';
+
+test('commands matching any rule require approval', () => {
+  const policy = createApprovalPolicy({
+    requireApproval: ['Wire Transfer', { prefix: 'License Application' }, { regex: '^close ', flags: 'i' }],
+  });
+  assert.equal(policy.requiresApproval('Wire Transfer'), true);
+  assert.equal(policy.requiresApproval('License Application - Renewal'), true);
+  assert.equal(policy.requiresApproval('Close Account'), true);
+  assert.equal(policy.requiresApproval('Wire Transfer Report'), false);
+  assert.equal(policy.requiresApproval('Run Screening'), false);
+});
+
+test('an empty policy requires nothing', () => {
+  assert.equal(createApprovalPolicy().requiresApproval('Wire Transfer'), false);
+  assert.deepEqual(createApprovalPolicy({}).rules, []);
+});
+
+test('invalid policies are rejected', () => {
+  assert.throws(() => createApprovalPolicy({ requireApproval: 'Wire Transfer' }), /must be an array/);
+  assert.throws(() => createApprovalPolicy({ requireApproval: [42] }), /rule 0 must be/);
+  assert.throws(() => createApprovalPolicy({ requireApproval: [null] }), /rule 0 must be/);
+  assert.throws(() => createApprovalPolicy({ requireApproval: [{ regex: '(' }] }), SyntaxError);
+});
+
+test('loadApprovalPolicy reads JSON and names the file on failure', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'policy-test-'));
+  try {
+    const file = path.join(dir, 'policy.json');
+    await fs.writeFile(file, JSON.stringify({ requireApproval: ['Wire Transfer'] }));
+    assert.equal((await loadApprovalPolicy(file)).requiresApproval('Wire Transfer'), true);
+    await fs.writeFile(file, 'nope');
+    await assert.rejects(loadApprovalPolicy(file), /Failed to load approval policy/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('a second person approving as the latest edit is approved', () => {
+  assert.deepEqual(checkApproval({ createdBy: 'alice', lastEditedBy: 'bob', approvers: ['bob'] }), { approved: true, approver: 'bob' });
+});
+
+test('approvals that are missing, self-made or followed by edits are refused', () => {
+  assert.equal(checkApproval({ createdBy: 'alice', lastEditedBy: 'bob', approvers: [] }).reason, 'Approved By is empty');
+  assert.equal(
+    checkApproval({ createdBy: 'alice', lastEditedBy: 'alice', approvers: ['alice'] }).reason,
+    'the creator cannot approve their own command'
+  );
+  // Approved by bob, but alice edited the page afterwards
+  assert.equal(checkApproval({ createdBy: 'alice', lastEditedBy: 'alice', approvers: ['bob'] }).approved, false);
+  // Someone who isn't an approver edited last
+  assert.equal(checkApproval({ createdBy: 'alice', lastEditedBy: 'carol', approvers: ['bob'] }).approved, false);
+});
+
+test('the example policy loads', async () => {
+  const policy = await loadApprovalPolicy(fileURLToPath(new URL('../config/approval-policy.example.json', import.meta.url)));
+  assert.ok(policy.rules.length > 0);
+});
@@ -0,0 +1,139 @@
+// test/auditChain.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { promisify } from 'util';
+import { openAuditTrail } from '../lib/auditTrail.js';
+import { verifyAuditChain, computeEntryHash } from '../lib/auditChain.js';
+import { createSignedAudit } from '../lib/signAudit.js';
+import { createKeyring } from '../lib/keyring.js';
+
+const KEY = 'audit-chain-test-key-0123456789abcdef';
+const VERIFY_SCRIPT = fileURLToPath(new URL('../scripts/verify-audit-log.js', import.meta.url));
+
+let dir;
+let filePath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chain-test-'));
+  filePath = path.join(dir, 'audit.jsonl');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+/** Record `count` events for one command, plus one for another stream */
+async function recordChain(count, keyring = KEY) {
+  const trail = await openAuditTrail({ filePath, keyring });
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    entries.push(await trail.record(`event-${i}`, { pageId: 'p1', correlationId: 'C-1' }, { step: i }));
+  }
+  entries.push(await trail.record('picked_up', { pageId: 'p2' }));
+  return entries;
+}
+
+/** Re-sign an edited entry, as someone holding the key could */
+function resign(entry, changes, keyring = KEY) {
+  const { signature: _s, signed_at: _t, entry_hash: _h, ...fields } = entry;
+  const signed = createSignedAudit({ ...fields, ...changes }, keyring);
+  signed.entry_hash = computeEntryHash(signed);
+  return signed;
+}
+
+test('an untouched log verifies', async () => {
+  const report = verifyAuditChain(await recordChain(3), KEY);
+  assert.deepEqual(report, { ok: true, checked: 4, streams: 2, problems: [] });
+});
+
+test('streams continue across reopening the log', async () => {
+  await recordChain(2);
+  const trail = await openAuditTrail({ filePath, keyring: KEY });
+  const next = await trail.record('completed', { pageId: 'p1', correlationId: 'C-1' });
+  assert.equal(next.seq, 3);
+
+  const entries = (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(verifyAuditChain(entries, KEY).ok, true);
+});
+
+test('an edited entry fails its signature', async () => {
+  const entries = await recordChain(3);
+  entries[1] = { ...entries[1], details: { step: 99 } };
+  const report = verifyAuditChain(entries, KEY);
+  assert.equal(report.ok, false);
+  assert.deepEqual(report.problems.map(p => [p.stream, p.seq, p.index, p.type]), [['C-1', 2, 1, 'bad_signature']]);
+});
+
+test('an edited entry hash is caught', async () => {
+  const entries = await recordChain(2);
+  entries[0] = { ...entries[0], entry_hash: '0'.repeat(64) };
+  assert.equal(verifyAuditChain(entries, KEY).problems[0].type, 'bad_hash');
+});
+
+test('a deleted entry leaves a gap', async () => {
+  const entries = await recordChain(4);
+  entries.splice(1, 1);
+  const [problem] = verifyAuditChain(entries, KEY).problems;
+  assert.equal(problem.type, 'gap');
+  assert.equal(problem.message, 'expected seq 2, found 3 (1 missing)');
+});
+
+test('reordered and duplicated entries are caught', async () => {
+  const entries = await recordChain(3);
+  assert.equal(verifyAuditChain([entries[0], entries[0]], KEY).problems[0].type, 'out_of_order');
+
+  [entries[1], entries[2]] = [entries[2], entries[1]];
+  assert.equal(verifyAuditChain(entries, KEY).problems[0].type, 'gap');
+});
+
+test('a re-signed entry that breaks the link is caught', async () => {
+  const entries = await recordChain(3);
+  entries[2] = resign(entries[2], { prev_hash: 'f'.repeat(64) });
+  const [problem] = verifyAuditChain(entries, KEY).problems;
+  assert.equal(problem.type, 'broken_link');
+  assert.equal(problem.seq, 3);
+});
+
+test('only the first problem per stream is reported, and other streams are still checked', async () => {
+  const entries = await recordChain(3);
+  entries[0] = { ...entries[0], event: 'forged' };
+  entries[1] = { ...entries[1], event: 'forged' };
+  const report = verifyAuditChain(entries, KEY);
+  assert.equal(report.problems.length, 1);
+  assert.equal(report.problems[0].seq, 1);
+});
+
+test('entries signed with a retired key verify; unknown keys are named', async () => {
+  const oldRing = createKeyring({ keys: [{ id: 'k1', secret: KEY }] });
+  const entries = await recordChain(2, oldRing);
+
+  const rotated = createKeyring({ keys: [{ id: 'k2', secret: 'another-key' }, { id: 'k1', secret: KEY, retired: true }] });
+  assert.equal(verifyAuditChain(entries, rotated).ok, true);
+
+  const [problem] = verifyAuditChain(entries, createKeyring({ keys: [{ id: 'k2', secret: 'another-key' }] })).problems;
+  assert.equal(problem.type, 'unknown_key');
+  assert.match(problem.message, /'k1'/);
+});
+
+test('verify-audit-log exits 0 for an intact log and 1 with the entry number of a problem', async () => {
+  const run = promisify(execFile);
+  const env = { ...process.env, HMAC_KEY: KEY, HMAC_KEY_ID: '', HMAC_KEY_RETIRED: '' };
+  const entries = await recordChain(3);
+
+  const intact = await run(process.execPath, [VERIFY_SCRIPT, filePath], { env });
+  assert.match(intact.stdout, /All chains intact/);
+
+  // A blank line doesn't shift the entry number
+  entries[1] = { ...entries[1], details: { step: 99 } };
+  await fs.writeFile(filePath, `${JSON.stringify(entries[0])}\n\n${entries.slice(1).map(e => JSON.stringify(e)).join('\n')}\n`);
+  await assert.rejects(run(process.execPath, [VERIFY_SCRIPT, filePath], { env }), error => {
+    assert.equal(error.code, 1);
+    assert.match(error.stdout, /C-1 @ entry 2, seq 2: bad_signature/);
+    return true;
+  });
+});
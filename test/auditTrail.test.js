@@ -0,0 +1,104 @@
+// test/auditTrail.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openAuditTrail, hashPayload } from '../lib/auditTrail.js';
+import { verifySignature } from '../lib/verifySignature.js';
+import { signedPortion } from '../lib/auditChain.js';
+import { createRedactor } from '../lib/redactPII.js';
+
+const KEY = 'audit-trail-test-key-0123456789abcdef';
+
+let dir;
+let filePath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-test-'));
+  filePath = path.join(dir, 'audit.jsonl');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function readLog() {
+  return (await fs.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('hashPayload ignores key order', () => {
+  assert.equal(hashPayload({ a: 1, b: 2 }), hashPayload({ b: 2, a: 1 }));
+  assert.equal(hashPayload(null), hashPayload({}));
+});
+
+test('entries are signed, redacted and appended before record resolves', async () => {
+  const trail = await openAuditTrail({ filePath, keyring: KEY });
+  const entry = await trail.record(
+    'dispatched',
+    { pageId: 'p1', command: 'Run Screening', correlationId: 'C-1', payloadHash: 'abc' },
+    { route: 'screening', applicant: { email: 'a@example.com' } }
+  );
+
+  const [logged] = await readLog();
+  assert.deepEqual(logged, entry);
+  assert.equal(entry.stream, 'C-1');
+  assert.equal(entry.event, 'dispatched');
+  assert.equal(entry.page_id, 'p1');
+  assert.equal(entry.details.route, 'screening');
+  assert.match(entry.details.applicant.email, /^hash:/);
+  assert.ok(verifySignature(signedPortion(entry), entry.signature, KEY));
+});
+
+test('entries without a correlation ID are streamed by page ID', async () => {
+  const trail = await openAuditTrail({ filePath, keyring: KEY });
+  assert.equal((await trail.record('picked_up', { pageId: 'p9' })).stream, 'p9');
+});
+
+test('audit details are hashed with the redactor key when one is given', async () => {
+  const trail = await openAuditTrail({ filePath, keyring: KEY, redactor: createRedactor({ key: 'pii' }) });
+  const entry = await trail.record('picked_up', { pageId: 'p1' }, { email: 'a@example.com' });
+  assert.match(entry.details.email, /^hmac:/);
+});
+
+test('entries are written to the Audits database in the background', async () => {
+  const created = [];
+  const notion = { pages: { create: async args => { created.push(args); return { id: 'row' }; } } };
+  const trail = await openAuditTrail({ filePath, keyring: KEY, notion, auditsDbId: 'audits' });
+  const entry = await trail.record('completed', { pageId: 'p1', command: 'Run Screening' });
+  await trail.flush();
+
+  assert.equal(created.length, 1);
+  const { parent, properties } = created[0];
+  assert.deepEqual(parent, { database_id: 'audits' });
+  assert.equal(properties.Event.select.name, 'completed');
+  assert.equal(properties['Entry Hash'].rich_text[0].text.content, entry.entry_hash);
+  assert.deepEqual(JSON.parse(properties.Entry.rich_text.map(r => r.text.content).join('')), entry);
+});
+
+test('a failed Notion write is reported without failing the record', async () => {
+  const errors = [];
+  const notion = { pages: { create: async () => { throw new Error('notion down'); } } };
+  const trail = await openAuditTrail({
+    filePath, keyring: KEY, notion, auditsDbId: 'audits', onError: (error, entry) => errors.push([error.message, entry.seq]),
+  });
+  await trail.record('completed', { pageId: 'p1' });
+  await trail.flush();
+  assert.deepEqual(errors, [['notion down', 1]]);
+  assert.equal((await readLog()).length, 1);
+});
+
+test('an entry too long for the Entry property is not written to Notion', async () => {
+  const created = [];
+  const errors = [];
+  const notion = { pages: { create: async args => { created.push(args); return { id: 'row' }; } } };
+  const trail = await openAuditTrail({
+    filePath, keyring: KEY, notion, auditsDbId: 'audits', onError: error => errors.push(error.message),
+  });
+  await trail.record('response_received', { pageId: 'p1' }, { body: 'x'.repeat(250000) });
+  await trail.flush();
+
+  assert.equal(created.length, 0);
+  assert.match(errors[0], /more than a Notion rich_text property holds/);
+  assert.equal((await readLog()).length, 1);
+});
@@ -0,0 +1,46 @@
+// test/canonicalJson.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalJson } from '../lib/canonicalJson.js';
+
+test('sorts object keys at every level', () => {
+  assert.equal(canonicalJson({ b: 1, a: { d: [2, { z: 1, y: 2 }], c: null } }), '{"a":{"c":null,"d":[2,{"y":2,"z":1}]},"b":1}');
+});
+
+test('normalizes strings and keys to NFC', () => {
+  const decomposed = 'cafe\u0301';
+  assert.equal(canonicalJson({ [decomposed]: decomposed }), '{"caf\u00e9":"caf\u00e9"}');
+});
+
+test('rejects keys that collide after normalization', () => {
+  assert.throws(() => canonicalJson({ 'caf\u00e9': 1, 'cafe\u0301': 2 }), /collide/);
+});
+
+test('writes numbers in shortest form and -0 as 0', () => {
+  assert.equal(canonicalJson([1.0, 1e21, -0, 0.1]), '[1,1e+21,0,0.1]');
+});
+
+test('rejects values with no JSON form', () => {
+  assert.throws(() => canonicalJson(NaN), /not valid JSON/);
+  assert.throws(() => canonicalJson({ n: Infinity }), /\$\.n/);
+  assert.throws(() => canonicalJson(1n), /BigInt/);
+  assert.throws(() => canonicalJson(undefined), /cannot serialize/);
+  assert.throws(() => canonicalJson(new Date(NaN)), /invalid Date/);
+});
+
+test('omits undefined members and writes them as null in arrays', () => {
+  assert.equal(canonicalJson({ a: undefined, b: () => {}, c: [undefined] }), '{"c":[null]}');
+});
+
+test('uses toJSON, writing Dates as ISO strings', () => {
+  assert.equal(canonicalJson({ at: new Date('2026-01-01T00:00:00Z') }), '{"at":"2026-01-01T00:00:00.000Z"}');
+  assert.equal(canonicalJson({ toJSON: () => ({ b: 1, a: 2 }) }), '{"a":2,"b":1}');
+});
+
+test('rejects circular references but allows shared ones', () => {
+  const shared = { x: 1 };
+  assert.equal(canonicalJson([shared, shared]), '[{"x":1},{"x":1}]');
+  const loop = {};
+  loop.self = loop;
+  assert.throws(() => canonicalJson(loop), /circular reference at \$\.self/);
+});
@@ -0,0 +1,176 @@
+// test/changeTracker.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openChangeTracker } from '../lib/changeTracker.js';
+
+const STATUSES = ['Pending', 'Processing'];
+
+let dir;
+let statePath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tracker-test-'));
+  statePath = path.join(dir, 'data', 'watcher.json');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+function page(id, status, { created = '2026-01-01T00:00:00.000Z', edited = created, name = id } = {}) {
+  return {
+    id,
+    created_time: created,
+    last_edited_time: edited,
+    properties: {
+      Name: { type: 'title', title: [{ plain_text: name }] },
+      Status: { type: 'select', select: status ? { name: status } : null },
+    },
+  };
+}
+
+/** Fake database: full queries filter by status, edit queries return `edited` */
+function fakeNotion(initial) {
+  const db = new Map(initial.map(p => [p.id, p]));
+  const filters = [];
+  let edited = [];
+  return {
+    db,
+    filters,
+    setEdited(pages) {
+      edited = pages;
+      for (const p of pages) db.set(p.id, p);
+    },
+    async query(filter) {
+      filters.push(filter);
+      if (filter.timestamp) return edited;
+      return [...db.values()].filter(p => p.properties.Status.select?.name === filter.select.equals);
+    },
+  };
+}
+
+test('the first sync queries every watched status in full', async () => {
+  const notion = fakeNotion([page('a', 'Pending'), page('b', 'Processing'), page('c', 'Completed')]);
+  const tracker = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+
+  const result = await tracker.sync();
+
+  assert.deepEqual(result, { full: true, changed: 2 });
+  assert.deepEqual(notion.filters.map(f => f.select.equals), STATUSES);
+  assert.deepEqual(tracker.pages('Pending').map(p => p.id), ['a']);
+  assert.deepEqual(tracker.pages('Processing').map(p => p.id), ['b']);
+  assert.equal(tracker.size, 2);
+});
+
+test('later syncs ask only for edits since the high-water mark, less the margin, to the minute', async () => {
+  const notion = fakeNotion([page('a', 'Pending')]);
+  const tracker = await openChangeTracker({
+    filePath: statePath, statuses: STATUSES, query: notion.query, marginMs: 60 * 1000,
+  });
+  await tracker.sync();
+  const mark = Date.parse(tracker.highWaterMark);
+
+  notion.setEdited([page('a', 'Processing', { edited: '2026-01-01T00:05:00.000Z' }), page('d', 'Pending')]);
+  const result = await tracker.sync();
+
+  assert.deepEqual(result, { full: false, changed: 2 });
+  const since = Date.parse(notion.filters.at(-1).last_edited_time.on_or_after);
+  assert.equal(since % 60000, 0);
+  assert.ok(since <= mark - 60000 && since > mark - 120000);
+  assert.deepEqual(tracker.pages('Processing').map(p => p.id), ['a']);
+  assert.deepEqual(tracker.pages('Pending').map(p => p.id), ['d']);
+});
+
+test('an edited page whose status left the watched set drops out of the view', async () => {
+  const notion = fakeNotion([page('a', 'Pending'), page('b', 'Pending')]);
+  const tracker = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await tracker.sync();
+
+  notion.setEdited([page('a', 'Completed', { edited: '2026-01-01T00:05:00.000Z' })]);
+  const result = await tracker.sync();
+
+  assert.equal(result.changed, 1);
+  assert.deepEqual(tracker.pages('Pending').map(p => p.id), ['b']);
+});
+
+test('an unchanged page in an edit query does not count as a change', async () => {
+  const a = page('a', 'Pending');
+  const notion = fakeNotion([a]);
+  const tracker = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await tracker.sync();
+
+  notion.setEdited([structuredClone(a)]);
+  assert.equal((await tracker.sync()).changed, 0);
+});
+
+test('a full sync removes pages that no longer come back, such as deleted ones', async () => {
+  const notion = fakeNotion([page('a', 'Pending'), page('b', 'Pending')]);
+  const tracker = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await tracker.sync();
+
+  notion.db.delete('b');
+  const result = await tracker.sync({ full: true });
+
+  assert.deepEqual(result, { full: true, changed: 1 });
+  assert.deepEqual(tracker.pages('Pending').map(p => p.id), ['a']);
+});
+
+test('a full sync runs again once fullSyncIntervalMs has passed', async () => {
+  const notion = fakeNotion([page('a', 'Pending')]);
+  const tracker = await openChangeTracker({
+    filePath: statePath, statuses: STATUSES, query: notion.query, fullSyncIntervalMs: 1,
+  });
+  await tracker.sync();
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.equal((await tracker.sync()).full, true);
+});
+
+test('pages come back oldest first', async () => {
+  const notion = fakeNotion([
+    page('late', 'Pending', { created: '2026-01-03T00:00:00.000Z' }),
+    page('early', 'Pending', { created: '2026-01-01T00:00:00.000Z' }),
+    page('middle', 'Pending', { created: '2026-01-02T00:00:00.000Z' }),
+  ]);
+  const tracker = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await tracker.sync();
+
+  assert.deepEqual(tracker.pages('Pending').map(p => p.id), ['early', 'middle', 'late']);
+});
+
+test('a reopened tracker carries on incrementally from the saved state', async () => {
+  const notion = fakeNotion([page('a', 'Pending')]);
+  const first = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await first.sync();
+  await first.flush();
+
+  const second = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  assert.equal(second.highWaterMark, first.highWaterMark);
+  assert.deepEqual(second.pages('Pending').map(p => p.id), ['a']);
+  assert.equal((await second.sync()).full, false);
+});
+
+test('saved state for a different set of statuses is ignored', async () => {
+  const notion = fakeNotion([page('a', 'Pending')]);
+  const first = await openChangeTracker({ filePath: statePath, statuses: STATUSES, query: notion.query });
+  await first.sync();
+  await first.flush();
+
+  const second = await openChangeTracker({ filePath: statePath, statuses: ['Pending'], query: notion.query });
+  assert.equal(second.highWaterMark, null);
+  assert.equal(second.size, 0);
+  assert.equal((await second.sync()).full, true);
+});
+
+test('a corrupt state file is reported', async () => {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, '{not json');
+
+  await assert.rejects(
+    openChangeTracker({ filePath: statePath, statuses: STATUSES, query: async () => [] }),
+    /Failed to load watcher state/,
+  );
+});
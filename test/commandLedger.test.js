@@ -0,0 +1,77 @@
+// test/commandLedger.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { openCommandLedger } from '../lib/commandLedger.js';
+
+let dir;
+let ledgerPath;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-test-'));
+  ledgerPath = path.join(dir, 'data', 'ledger.json');
+});
+
+afterEach(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('records transitions, counting attempts and merging meta', async () => {
+  const ledger = await openCommandLedger(ledgerPath);
+  await ledger.record('p1', 'Processing', { command: 'Deploy', attempt: true, meta: { route: 'default' } });
+  const entry = await ledger.record('p1', 'Completed', { note: 'done', meta: { status: 200 } });
+
+  assert.equal(entry.command, 'Deploy');
+  assert.equal(entry.attempts, 1);
+  assert.equal(entry.status, 'Completed');
+  assert.equal(entry.outcome, 'Completed');
+  assert.deepEqual(entry.meta, { route: 'default', status: 200 });
+  assert.deepEqual(entry.history.map(h => [h.status, h.note]), [['Processing', undefined], ['Completed', 'done']]);
+});
+
+test('persists entries across reopening', async () => {
+  const ledger = await openCommandLedger(ledgerPath);
+  await ledger.record('p1', 'Processing', { attempt: true });
+  await ledger.flush();
+
+  const reopened = await openCommandLedger(ledgerPath);
+  assert.equal(reopened.size, 1);
+  assert.equal(reopened.get('p1').status, 'Processing');
+  assert.equal(reopened.get('p1').outcome, null);
+});
+
+test('a command is claimable until recorded, and again after a requeue', async () => {
+  const ledger = await openCommandLedger(ledgerPath);
+  assert.equal(ledger.isClaimable('p1'), true);
+  await ledger.record('p1', 'Processing', { attempt: true });
+  assert.equal(ledger.isClaimable('p1'), false);
+
+  const entry = await ledger.requeue('p1', 'replayed');
+  assert.equal(ledger.isClaimable('p1'), true);
+  assert.equal(entry.attempts, 1);
+});
+
+test('prunes the oldest terminal entries beyond maxEntries', async () => {
+  const ledger = await openCommandLedger(ledgerPath, { maxEntries: 2 });
+  await ledger.record('done-1', 'Completed');
+  await ledger.record('active', 'Processing');
+  await ledger.record('done-2', 'Failed');
+
+  assert.deepEqual(ledger.entries().map(e => e.pageId).sort(), ['active', 'done-2']);
+});
+
+test('keeps only the latest history per entry', async () => {
+  const ledger = await openCommandLedger(ledgerPath);
+  for (let i = 0; i < 60; i++) await ledger.record('p1', 'Retrying', { note: `try ${i}` });
+  const { history } = ledger.get('p1');
+  assert.equal(history.length, 50);
+  assert.equal(history.at(-1).note, 'try 59');
+});
+
+test('refuses to open a corrupt ledger', async () => {
+  await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+  await fs.writeFile(ledgerPath, '{ not json');
+  await assert.rejects(openCommandLedger(ledgerPath), /Failed to load command ledger/);
+});
@@ -0,0 +1,118 @@
+// test/commandRouter.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRouter, matchesCommandName, matchesPayload, loadRoutingConfig } from '../lib/commandRouter.js';
+
+const command = (name, payload = {}) => ({ command: name, parsedPayload: payload });
+
+test('the first matching route wins, in config order', () => {
+  const router = createRouter({
+    routes: [
+      { name: 'screening-eu', match: { command: 'Run Screening', payload: { region: 'eu' } }, url: 'https://n8n/eu' },
+      { name: 'screening', match: { command: 'Run Screening' }, url: 'https://n8n/screening' },
+    ],
+    default: { url: 'https://n8n/default' },
+  });
+
+  assert.equal(router.resolve(command('Run Screening', { region: 'eu' })).name, 'screening-eu');
+  assert.equal(router.resolve(command('Run Screening', { region: 'us' })).name, 'screening');
+});
+
+test('unmatched commands fall back to the default route', () => {
+  const router = createRouter({
+    routes: [{ name: 'screening', match: { command: 'Run Screening' }, url: 'https://n8n/screening' }],
+    default: { url: 'https://n8n/default' },
+  });
+  const route = router.resolve(command('Something Else'));
+  assert.equal(route.name, 'default');
+  assert.equal(route.url, 'https://n8n/default');
+});
+
+test('fallbackUrl becomes the default route when the config has none', () => {
+  assert.equal(createRouter({}, { fallbackUrl: 'https://n8n/hook' }).resolve(command('X')).url, 'https://n8n/hook');
+  assert.equal(createRouter({ default: { url: 'https://n8n/config' } }, { fallbackUrl: 'https://n8n/hook' }).defaultRoute.url, 'https://n8n/config');
+});
+
+test('with no match and no default, resolve returns null', () => {
+  const router = createRouter({ routes: [{ match: { command: 'A' }, url: 'https://n8n/a' }] });
+  assert.equal(router.resolve(command('B')), null);
+});
+
+test('routes take the default timeout and callback mode unless they set their own', () => {
+  const router = createRouter({
+    routes: [
+      { name: 'slow', match: { command: 'Slow' }, url: 'https://n8n/slow', timeoutMs: 120000, awaitCallback: true },
+      { name: 'plain', match: { command: 'Plain' }, url: 'https://n8n/plain' },
+    ],
+  }, { fallbackUrl: 'https://n8n/hook', timeoutMs: 5000 });
+
+  assert.equal(router.byName('slow').timeoutMs, 120000);
+  assert.equal(router.byName('slow').awaitCallback, true);
+  assert.equal(router.byName('plain').timeoutMs, 5000);
+  assert.equal(router.byName('plain').awaitCallback, false);
+  assert.equal(router.defaultRoute.timeoutMs, 5000);
+  assert.equal(createRouter({}, { fallbackUrl: 'https://n8n/hook' }).defaultRoute.timeoutMs, 30000);
+});
+
+test('unnamed routes are named by position and found by name', () => {
+  const router = createRouter({ routes: [{ match: { command: 'A' }, url: 'https://n8n/a' }] }, { fallbackUrl: 'https://n8n/hook' });
+  assert.equal(router.routes[0].name, 'route-0');
+  assert.equal(router.byName('route-0').url, 'https://n8n/a');
+  assert.equal(router.byName('default').url, 'https://n8n/hook');
+  assert.equal(router.byName('missing'), null);
+});
+
+test('URLs and headers interpolate environment variables', () => {
+  process.env.ROUTER_TEST_HOST = 'n8n.example';
+  process.env.ROUTER_TEST_TOKEN = 'tok';
+  try {
+    const router = createRouter({
+      default: { url: 'https://${ROUTER_TEST_HOST}/hook', headers: { Authorization: 'Bearer ${ROUTER_TEST_TOKEN}' } },
+    });
+    assert.equal(router.defaultRoute.url, 'https://n8n.example/hook');
+    assert.equal(router.defaultRoute.headers.Authorization, 'Bearer tok');
+  } finally {
+    delete process.env.ROUTER_TEST_HOST;
+    delete process.env.ROUTER_TEST_TOKEN;
+  }
+  assert.throws(() => createRouter({ default: { url: 'https://${ROUTER_TEST_UNSET}/hook' } }), /unset environment variable ROUTER_TEST_UNSET/);
+});
+
+test('invalid routes are rejected when the router is built', () => {
+  assert.throws(() => createRouter({ routes: [{ name: 'r', match: { command: 'A' } }] }), /Route 'r' has no url/);
+  assert.throws(() => createRouter({ routes: [{ match: { command: { regex: '(' } }, url: 'https://n8n/a' }] }), SyntaxError);
+});
+
+test('command name matchers: exact, prefix and regex', () => {
+  assert.equal(matchesCommandName(undefined, 'Anything'), true);
+  assert.equal(matchesCommandName('Run', 'Run Screening'), false);
+  assert.equal(matchesCommandName({ exact: 'Run' }, 'Run'), true);
+  assert.equal(matchesCommandName({ prefix: 'Run ' }, 'Run Screening'), true);
+  assert.equal(matchesCommandName({ regex: '^run', flags: 'i' }, 'Run Screening'), true);
+  assert.equal(matchesCommandName({}, 'Run'), false);
+});
+
+test('payload matchers: values, allowed lists, regexes and dot paths', () => {
+  const payload = { tier: 'gold', applicant: { country: 'DE' }, amount: 10 };
+  assert.equal(matchesPayload({ tier: 'gold', amount: 10 }, payload), true);
+  assert.equal(matchesPayload({ 'applicant.country': ['DE', 'FR'] }, payload), true);
+  assert.equal(matchesPayload({ 'applicant.country': { regex: '^U' } }, payload), false);
+  assert.equal(matchesPayload({ amount: { regex: '1' } }, payload), false);
+  assert.equal(matchesPayload({ 'missing.path': 'x' }, payload), false);
+});
+
+test('loadRoutingConfig reads JSON and names the file on failure', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'routes-test-'));
+  try {
+    const file = path.join(dir, 'routes.json');
+    await fs.writeFile(file, JSON.stringify({ default: { url: 'https://n8n/hook' } }));
+    assert.deepEqual(await loadRoutingConfig(file), { default: { url: 'https://n8n/hook' } });
+    await fs.writeFile(file, '{');
+    await assert.rejects(loadRoutingConfig(file), /Failed to load routing config .*routes\.json/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,154 @@
+// test/commandSources.test.js
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  commandIdFor,
+  sourceNameOf,
+  parseSubmission,
+  createStoreSource,
+  createSourceRegistry,
+} from '../lib/commandSources.js';
+import { createQueueSource } from '../lib/queueSource.js';
+import { openCommandStore } from '../lib/commandStore.js';
+
+let dir;
+let store;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'sources-test-'));
+  store = await openCommandStore(path.join(dir, 'data', 'commands.json'));
+});
+
+afterEach(async () => {
+  await store.flush();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('command IDs are prefixed with their source, except Notion page IDs', () => {
+  assert.equal(commandIdFor('http', 'abc'), 'http:abc');
+  assert.equal(commandIdFor('notion', 'abc'), 'abc');
+  assert.equal(sourceNameOf('queue:batch.jsonl-1'), 'queue');
+  assert.equal(sourceNameOf('1a2b3c'), 'notion');
+});
+
+test('parseSubmission accepts a command and refuses malformed or Notion-only input', () => {
+  assert.deepEqual(parseSubmission({ command: ' Ping ', id: 'job-1', payload: { a: 1 } }), {
+    ok: true,
+    value: { localId: 'job-1', command: 'Ping', entityId: null, payload: { a: 1 } },
+  });
+
+  assert.equal(parseSubmission([]).ok, false);
+  const result = parseSubmission({ command: '', id: 'no spaces', payload: [], schedule: '* * * * *' });
+  assert.equal(result.ok, false);
+  assert.match(result.error, /command must be a non-empty string/);
+  assert.match(result.error, /id must be/);
+  assert.match(result.error, /payload must be a JSON object/);
+  assert.match(result.error, /schedule: only supported for Notion commands/);
+});
+
+test('a store source is idempotent on resubmission and reports status changes', async () => {
+  const statuses = [];
+  const source = createStoreSource({ name: 'http', store, onStatus: async record => statuses.push(record.status) });
+
+  const first = await source.submit({ localId: 'job-1', command: 'Ping', payload: { correlation_id: 'c-1' } });
+  const again = await source.submit({ localId: 'job-1', command: 'Other' });
+  assert.equal(first.created, true);
+  assert.equal(again.created, false);
+  assert.equal(again.record.command, 'Ping');
+
+  const [item] = source.pending();
+  assert.equal(item.id, 'http:job-1');
+  const data = await source.load(item);
+  assert.equal(data.correlationId, 'c-1');
+  assert.deepEqual(data.parsedPayload, { correlation_id: 'c-1' });
+
+  await source.reportStatus('http:job-1', 'Processing');
+  assert.deepEqual(await source.interrupted(), ['http:job-1']);
+  assert.deepEqual(source.pending(), []);
+
+  await source.reportStatus('http:job-1', 'Cancelled', 'by submitter');
+  assert.equal(await source.isCancelled('http:job-1'), true);
+  assert.deepEqual(statuses, ['Processing', 'Cancelled']);
+});
+
+test('the registry refuses duplicate names and finds a command\'s source', () => {
+  const http = createStoreSource({ name: 'http', store });
+  const registry = createSourceRegistry([http]);
+
+  assert.equal(registry.forCommand('http:job-1'), http);
+  assert.throws(() => registry.forCommand('queue:x'), /'queue' is not enabled/);
+  assert.throws(() => createSourceRegistry([http, http]), /registered twice/);
+});
+
+test('the command store keeps records across reopening and prunes the oldest finished ones', async () => {
+  const filePath = path.join(dir, 'data', 'pruned.json');
+  const small = await openCommandStore(filePath, { maxEntries: 2 });
+  await small.add({ id: 'http:a', source: 'http', command: 'Ping' });
+  await small.setStatus('http:a', 'Completed');
+  await small.add({ id: 'http:b', source: 'http', command: 'Ping' });
+  await small.add({ id: 'http:c', source: 'http', command: 'Ping' });
+  await small.flush();
+
+  const reopened = await openCommandStore(filePath, { maxEntries: 2 });
+  assert.equal(reopened.get('http:a'), null);
+  assert.deepEqual(reopened.list('http').map(r => r.id), ['http:b', 'http:c']);
+  assert.deepEqual(reopened.get('http:b').history.map(h => h.status), ['Deploy']);
+});
+
+test('the queue source takes json and jsonl files and moves them to processed/', async () => {
+  const queueDir = path.join(dir, 'queue');
+  const queue = createQueueSource({ dir: queueDir, store });
+  await fs.mkdir(queueDir, { recursive: true });
+  await fs.writeFile(path.join(queueDir, 'one.json'), JSON.stringify({ command: 'Ping', id: 'single' }));
+  await fs.writeFile(path.join(queueDir, 'batch.jsonl'), '{"command":"Ping"}\n\n{not json}\n');
+  await fs.writeFile(path.join(queueDir, '.partial.json'), '{"command":"Ping"}');
+
+  assert.equal(await queue.sync(), 3);
+
+  const ids = queue.pending().map(item => item.id).sort();
+  assert.deepEqual(ids, ['queue:batch.jsonl-1', 'queue:batch.jsonl-3', 'queue:single']);
+  assert.match((await queue.load({ id: 'queue:batch.jsonl-3' })).payloadError, /^batch\.jsonl:3: not valid JSON/);
+
+  const left = (await fs.readdir(queueDir)).sort();
+  assert.deepEqual(left, ['.partial.json', 'processed']);
+  const processed = await fs.readdir(path.join(queueDir, 'processed'));
+  assert.equal(processed.length, 2);
+  assert.ok(processed.every(name => /^\d{8}T\d{9}Z-(one\.json|batch\.jsonl)$/.test(name)));
+});
+
+test('a reused queue file name is a resubmission and does not overwrite the processed file', async () => {
+  const queueDir = path.join(dir, 'queue');
+  const queue = createQueueSource({ dir: queueDir, store });
+  await fs.mkdir(queueDir, { recursive: true });
+
+  await fs.writeFile(path.join(queueDir, 'batch.jsonl'), '{"command":"First"}\n');
+  assert.equal(await queue.sync(), 1);
+  await fs.writeFile(path.join(queueDir, 'batch.jsonl'), '{"command":"Second"}\n');
+  assert.equal(await queue.sync(), 0);
+
+  const processedDir = path.join(queueDir, 'processed');
+  const contents = await Promise.all(
+    (await fs.readdir(processedDir)).map(name => fs.readFile(path.join(processedDir, name), 'utf8')),
+  );
+  assert.deepEqual(contents.sort(), ['{"command":"First"}\n', '{"command":"Second"}\n']);
+});
+
+test('the queue source appends every status change to status.jsonl', async () => {
+  const queueDir = path.join(dir, 'queue');
+  const queue = createQueueSource({ dir: queueDir, store });
+  await fs.mkdir(queueDir, { recursive: true });
+  await fs.writeFile(path.join(queueDir, 'one.json'), JSON.stringify({ command: 'Ping', id: 'job' }));
+  await queue.sync();
+
+  await queue.reportStatus('queue:job', 'Processing');
+  await queue.reportStatus('queue:job', 'Completed', 'done');
+
+  const lines = (await fs.readFile(path.join(queueDir, 'status.jsonl'), 'utf8')).trim().split('\n').map(JSON.parse);
+  assert.deepEqual(lines.map(l => [l.id, l.status, l.notes]), [
+    ['queue:job', 'Processing', ''],
+    ['queue:job', 'Completed', 'done'],
+  ]);
+});
@@ -0,0 +1,45 @@
+// test/cron.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronRun } from '../lib/cron.js';
+
+const at = iso => new Date(iso);
+
+test('parseCron expands lists, ranges, steps and names', () => {
+  const cron = parseCron('0,30 9-17/4 * jan-mar mon-fri');
+  assert.deepEqual([...cron.minute], [0, 30]);
+  assert.deepEqual([...cron.hour], [9, 13, 17]);
+  assert.deepEqual([...cron.month], [1, 2, 3]);
+  assert.deepEqual([...cron.dayOfWeek], [1, 2, 3, 4, 5]);
+  assert.equal(cron.dayOfMonthRestricted, false);
+  assert.equal(cron.dayOfWeekRestricted, true);
+});
+
+test('parseCron treats day 7 as Sunday and expands macros', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').dayOfWeek], [0]);
+  assert.deepEqual([...parseCron('@daily').hour], [0]);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /expected 5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /outside 0-59/);
+  assert.throws(() => parseCron('* 5-2 * * *'), /reversed/);
+  assert.throws(() => parseCron('*/0 * * * *'), /at least 1/);
+  assert.throws(() => parseCron('* * * foo *'), /not a valid month/);
+});
+
+test('nextCronRun returns the first occurrence strictly after the given time', () => {
+  assert.deepEqual(nextCronRun('*/15 * * * *', at('2026-03-01T10:15:00Z')), at('2026-03-01T10:30:00Z'));
+  assert.deepEqual(nextCronRun('*/15 * * * *', at('2026-03-01T10:14:59Z')), at('2026-03-01T10:15:00Z'));
+  assert.deepEqual(nextCronRun('0 9 * * *', at('2026-12-31T09:00:00Z')), at('2027-01-01T09:00:00Z'));
+});
+
+test('nextCronRun matches either restricted day field, as Vixie cron does', () => {
+  // 2026-03-02 is a Monday; the 15th comes later
+  assert.deepEqual(nextCronRun('0 0 15 * mon', at('2026-03-01T12:00:00Z')), at('2026-03-02T00:00:00Z'));
+  assert.deepEqual(nextCronRun('0 0 15 * *', at('2026-03-01T12:00:00Z')), at('2026-03-15T00:00:00Z'));
+});
+
+test('nextCronRun returns null for an expression that never fires', () => {
+  assert.equal(nextCronRun('0 0 30 2 *', at('2026-01-01T00:00:00Z')), null);
+});
@@ -0,0 +1,49 @@
+// test/dependencies.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateDependencies, describeDependencies } from '../lib/dependencies.js';
+
+/** getNode over a fixed set of commands; unknown IDs are missing */
+function graph(nodes) {
+  return async id => {
+    const node = nodes[id];
+    return node ? { id, name: id.toUpperCase(), dependsOn: [], ...node } : { id, missing: true };
+  };
+}
+
+test('ready when every dependency is Completed', async () => {
+  const result = await evaluateDependencies('a', ['b', 'c'], graph({ b: { status: 'Completed' }, c: { status: 'Completed' } }));
+  assert.equal(result.state, 'ready');
+  assert.equal(describeDependencies(result), 'All dependencies completed');
+});
+
+test('waiting lists the dependencies that are still pending', async () => {
+  const result = await evaluateDependencies('a', ['b', 'c'], graph({ b: { status: 'Completed' }, c: { status: 'Deploy' } }));
+  assert.equal(result.state, 'waiting');
+  assert.deepEqual(result.nodes.map(n => n.id), ['c']);
+  assert.equal(describeDependencies(result), 'Waiting on 1 dependency:\n- C (Deploy)');
+});
+
+test('blocked by a failed or missing dependency', async () => {
+  const result = await evaluateDependencies('a', ['b', 'gone'], graph({ b: { status: 'Failed' } }));
+  assert.equal(result.state, 'blocked');
+  assert.equal(describeDependencies(result), 'Upstream commands did not complete:\n- B (Failed)\n- gone (not found)');
+});
+
+test('detects a cycle through pending commands', async () => {
+  const getNode = graph({ b: { status: 'Deploy', dependsOn: ['c'] }, c: { status: 'Deploy', dependsOn: ['a'] } });
+  const result = await evaluateDependencies('a', ['b'], getNode);
+  assert.equal(result.state, 'cycle');
+  assert.deepEqual(result.cycle, ['a', 'b', 'c', 'a']);
+  assert.equal(describeDependencies(result, id => id.toUpperCase()), 'Dependency cycle: A → B → C → A');
+});
+
+test('a command depending on itself is a cycle', async () => {
+  const result = await evaluateDependencies('a', ['a'], graph({}));
+  assert.deepEqual(result.cycle, ['a', 'a']);
+});
+
+test('settled commands are not followed when looking for cycles', async () => {
+  const getNode = graph({ b: { status: 'Deploy', dependsOn: ['c'] }, c: { status: 'Completed', dependsOn: ['a'] } });
+  assert.equal((await evaluateDependencies('a', ['b'], getNode)).state, 'waiting');
+});
@@ -0,0 +1,95 @@
+// test/fixtures/fakeNotionClient.js
+//
+// In-memory stand-in for @notionhq/client, for running the service in tests.
+// Pages are read from the JSON file named by FAKE_NOTION_PAGES; errors and
+// helpers come from the real package.
+import fs from 'fs';
+import { createRequire } from 'module';
+
+const { APIResponseError, ClientErrorCode, isNotionClientError } = createRequire(import.meta.url)('@notionhq/client');
+
+export { APIResponseError, ClientErrorCode, isNotionClientError };
+
+function notFound(id) {
+  return new APIResponseError({
+    code: 'object_not_found',
+    status: 404,
+    message: `Could not find page with ID: ${id}`,
+    headers: new Map(),
+    rawBodyText: '',
+  });
+}
+
+function plainText(property) {
+  return (property?.rich_text || property?.title || []).map(r => r.plain_text ?? r.text?.content).join('');
+}
+
+function matches(page, filter) {
+  if (!filter) return true;
+  if (filter.and) return filter.and.every(f => matches(page, f));
+  if (filter.or) return filter.or.some(f => matches(page, f));
+  if (filter.timestamp === 'last_edited_time') {
+    return page.last_edited_time >= filter.last_edited_time.on_or_after;
+  }
+  const property = page.properties[filter.property];
+  if (filter.select) return property?.select?.name === filter.select.equals;
+  if (filter.rich_text) return plainText(property) === filter.rich_text.equals;
+  return true;
+}
+
+export class Client {
+  constructor() {
+    const path = process.env.FAKE_NOTION_PAGES;
+    const pages = path ? JSON.parse(fs.readFileSync(path, 'utf8')) : [];
+    const find = id => pages.find(page => page.id === id);
+
+    this.databases = {
+      retrieve: async ({ database_id }) => ({ id: database_id, title: [{ plain_text: 'Commands' }] }),
+      query: async ({ database_id, filter, start_cursor, page_size = 100 }) => {
+        const all = pages.filter(p => (p.parent?.database_id ?? database_id) === database_id && matches(p, filter));
+        const start = start_cursor ? parseInt(start_cursor, 10) : 0;
+        const hasMore = start + page_size < all.length;
+        return {
+          results: all.slice(start, start + page_size),
+          has_more: hasMore,
+          next_cursor: hasMore ? String(start + page_size) : null,
+        };
+      },
+    };
+
+    this.pages = {
+      retrieve: async ({ page_id }) => {
+        const page = find(page_id);
+        if (!page) throw notFound(page_id);
+        return page;
+      },
+      update: async ({ page_id, properties }) => {
+        const page = find(page_id);
+        if (!page) throw notFound(page_id);
+        for (const [name, value] of Object.entries(properties)) {
+          page.properties[name] = value.rich_text
+            ? { rich_text: value.rich_text.map(r => ({ ...r, plain_text: r.text.content })) }
+            : value;
+        }
+        page.last_edited_time = new Date().toISOString();
+        return page;
+      },
+      create: async ({ parent, properties }) => {
+        const now = new Date().toISOString();
+        const page = { id: `created-${pages.length}`, parent, properties, created_time: now, last_edited_time: now };
+        pages.push(page);
+        return page;
+      },
+    };
+
+    this.blocks = {
+      children: {
+        list: async ({ block_id }) => ({ results: find(block_id)?.blocks || [], has_more: false, next_cursor: null }),
+      },
+    };
+
+    this.users = {
+      retrieve: async ({ user_id }) => ({ id: user_id, name: `User ${user_id}` }),
+    };
+  }
+}
@@ -0,0 +1,222 @@
+// test/index.test.js
+//
+// Runs the service against an in-memory Notion (fixtures/fakeNotionClient.js)
+// and a local webhook, and checks the health, metrics and admin endpoints.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const rootDir = fileURLToPath(new URL('..', import.meta.url));
+const fakeNotionUrl = new URL('./fixtures/fakeNotionClient.js', import.meta.url).href;
+
+// Loads the fake in place of @notionhq/client
+const hooks = `export async function resolve(specifier, context, next) {
+  return specifier === '@notionhq/client'
+    ? { url: ${JSON.stringify(fakeNotionUrl)}, shortCircuit: true }
+    : next(specifier, context);
+}`;
+const loader = `import { register } from 'node:module';
+register(${JSON.stringify(`data:text/javascript,${encodeURIComponent(hooks)}`)});`;
+
+const ADMIN_TOKEN = 'admin-token';
+const INTAKE_TOKEN = 'intake-token';
+
+let dir;
+let service;
+let webhook;
+let baseUrl;
+const webhookCalls = [];
+let output = '';
+
+function commandPage(id, command, createdSecond) {
+  const created = `2026-01-01T00:00:0${createdSecond}.000Z`;
+  return {
+    id,
+    parent: { type: 'database_id', database_id: 'commands-db' },
+    created_time: created,
+    last_edited_time: created,
+    created_by: { id: 'user-1' },
+    last_edited_by: { id: 'user-1' },
+    properties: {
+      Name: { title: [{ plain_text: command }] },
+      Status: { select: { name: 'Deploy' } },
+      Payload: { rich_text: [{ plain_text: '{}' }] },
+    },
+  };
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+async function request(method, urlPath, token) {
+  const response = await fetch(`${baseUrl}${urlPath}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  const text = await response.text();
+  const json = response.headers.get('content-type')?.includes('json') ? JSON.parse(text) : null;
+  return { status: response.status, json, text };
+}
+
+/** Poll until `check` returns something truthy */
+async function waitFor(check, what, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const value = await check().catch(() => null);
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${what}\n${output}`);
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
+
+/** Ledger status of a command, once its worker has let go of it */
+async function settledStatus(pageId) {
+  const { json } = await request('GET', `/admin/commands/${pageId}`, ADMIN_TOKEN);
+  return json && !json.inFlight ? json.status : null;
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'service-test-'));
+  const pagesPath = path.join(dir, 'pages.json');
+  await fs.writeFile(pagesPath, JSON.stringify([
+    commandPage('page-ok', 'Ping', 1),
+    commandPage('page-fail', 'Break', 2),
+  ]));
+
+  // The first 'Break' call is refused with a status that isn't retried
+  webhook = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      webhookCalls.push(payload);
+      const refuse = payload.command === 'Break' && webhookCalls.filter(c => c.command === 'Break').length === 1;
+      res.writeHead(refuse ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => webhook.listen(0, resolve));
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  service = spawn(process.execPath, ['--import', `data:text/javascript,${encodeURIComponent(loader)}`, 'index.js'], {
+    cwd: rootDir,
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      NOTION_API_KEY: 'fake',
+      COMMANDS_DB_ID: 'commands-db',
+      FAKE_NOTION_PAGES: pagesPath,
+      N8N_WEBHOOK_URL: `http://127.0.0.1:${webhook.address().port}/hook`,
+      HMAC_KEY: crypto.randomBytes(32).toString('hex'),
+      ADMIN_TOKEN,
+      INTAKE_TOKEN,
+      POLL_INTERVAL: '100',
+      POLL_MAX_INTERVAL: '200',
+      NOTION_REQUESTS_PER_SECOND: '1000',
+      AUDIT_LOG_PATH: path.join(dir, 'audit.jsonl'),
+      LEDGER_PATH: path.join(dir, 'ledger.json'),
+      WATCHER_STATE_PATH: path.join(dir, 'watcher.json'),
+      SUBMITTED_COMMANDS_PATH: path.join(dir, 'submitted.json'),
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  service.stdout.on('data', chunk => { output += chunk; });
+  service.stderr.on('data', chunk => { output += chunk; });
+
+  await waitFor(async () => (await request('GET', '/health')).status === 200, 'the health endpoint');
+});
+
+after(async () => {
+  if (service && service.exitCode === null) {
+    const exited = new Promise(resolve => service.once('exit', resolve));
+    service.kill('SIGTERM');
+    await exited;
+  }
+  await new Promise(resolve => webhook?.close(resolve) ?? resolve());
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('health reports the service as running', async () => {
+  const { status, json } = await request('GET', '/health');
+  assert.equal(status, 200);
+  assert.equal(json.status, 'healthy');
+  assert.equal(json.polling, 'running');
+});
+
+test('a Deploy page is dispatched and its ledger entry is served by the admin API', async () => {
+  await waitFor(async () => (await settledStatus('page-ok')) === 'Completed', 'page-ok to complete');
+
+  const { json: entry } = await request('GET', '/admin/commands/page-ok', ADMIN_TOKEN);
+
+  assert.equal(entry.command, 'Ping');
+  assert.equal(entry.attempts, 1);
+  assert.deepEqual(entry.history.map(h => h.status), ['Processing', 'Completed']);
+
+  const { json: list } = await request('GET', '/admin/commands?status=Completed', ADMIN_TOKEN);
+  assert.ok(list.commands.some(c => c.pageId === 'page-ok'));
+  assert.ok(list.commands.every(c => c.status === 'Completed'));
+});
+
+test('the admin API refuses missing tokens, malformed ids and unknown commands', async () => {
+  assert.equal((await request('GET', '/admin/commands')).status, 401);
+  assert.equal((await request('GET', '/admin/commands', 'wrong')).status, 401);
+
+  const malformed = await request('GET', '/admin/commands/%E0%A4%A', ADMIN_TOKEN);
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.json.error, 'malformed command id');
+  assert.equal((await request('POST', '/admin/commands/%E0%A4%A/cancel', ADMIN_TOKEN)).status, 400);
+
+  assert.equal((await request('GET', '/admin/commands/no-such-page', ADMIN_TOKEN)).status, 404);
+  assert.equal((await request('GET', '/commands/%E0%A4%A', INTAKE_TOKEN)).status, 400);
+});
+
+test('a failed command can be replayed through the admin API, a completed one cannot', async () => {
+  await waitFor(async () => (await settledStatus('page-fail')) === 'Failed', 'page-fail to fail');
+
+  const refused = await request('POST', '/admin/commands/page-ok/replay', ADMIN_TOKEN);
+  assert.equal(refused.status, 409);
+
+  const replay = await request('POST', '/admin/commands/page-fail/replay', ADMIN_TOKEN);
+  assert.equal(replay.status, 202);
+  await waitFor(async () => (await settledStatus('page-fail')) === 'Completed', 'the replay to complete');
+  assert.equal(webhookCalls.filter(c => c.command === 'Break').length, 2);
+});
+
+test('polling can be paused and resumed, and the gauge follows', async () => {
+  const paused = await request('POST', '/admin/polling/pause', ADMIN_TOKEN);
+  assert.deepEqual(paused.json, { paused: true });
+  assert.equal((await request('GET', '/admin/polling', ADMIN_TOKEN)).json.paused, true);
+  assert.equal((await request('GET', '/health')).json.polling, 'paused');
+  assert.match((await request('GET', '/metrics')).text, /^archonri_polling_paused 1$/m);
+
+  await request('POST', '/admin/polling/resume', ADMIN_TOKEN);
+  assert.match((await request('GET', '/metrics')).text, /^archonri_polling_paused 0$/m);
+});
+
+test('metrics label commands by route, never by their title', async () => {
+  await waitFor(async () => (await settledStatus('page-fail')) === 'Completed', 'page-fail to complete');
+  const { status, text } = await request('GET', '/metrics');
+
+  assert.equal(status, 200);
+  assert.match(text, /^archonri_commands_finished_total\{route="default",status="Completed"\} 2$/m);
+  assert.match(text, /^archonri_commands_finished_total\{route="default",status="Failed"\} 1$/m);
+  assert.match(text, /^archonri_dispatches_total\{route="default",outcome="http_error"\} 1$/m);
+  assert.match(text, /^archonri_dispatches_total\{route="default",outcome="success"\} 2$/m);
+  assert.match(text, /^# TYPE archonri_dispatch_duration_seconds histogram$/m);
+  assert.doesNotMatch(text, /command="/);
+  assert.doesNotMatch(text, /Ping|Break/);
+});
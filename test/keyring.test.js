@@ -0,0 +1,78 @@
+// test/keyring.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createKeyring,
+  toKeyring,
+  keyringFromEnv,
+  checkSigningKey,
+  isTestMode,
+  formatSignature,
+  parseSignature,
+} from '../lib/keyring.js';
+
+test('createKeyring signs with the one active key and keeps retired keys for verification', () => {
+  const keyring = createKeyring({ keys: [{ id: 'k2', secret: 'new' }, { id: 'k1', secret: 'old', retired: true }] });
+  assert.equal(keyring.current.id, 'k2');
+  assert.deepEqual(keyring.get('k1'), { id: 'k1', secret: 'old', retired: true });
+  assert.equal(keyring.get('k3'), null);
+});
+
+test('createKeyring rejects bad key sets', () => {
+  assert.throws(() => createKeyring({ keys: [{ id: 'a:b', secret: 's' }] }), /Invalid key ID/);
+  assert.throws(() => createKeyring({ keys: [{ id: 'a' }] }), /has no secret/);
+  assert.throws(() => createKeyring({ keys: [{ id: 'a', secret: 's' }, { id: 'a', secret: 't', retired: true }] }), /used twice/);
+  assert.throws(() => createKeyring({ keys: [{ id: 'a', secret: 's' }, { id: 'b', secret: 't' }] }), /exactly one active key, found 2/);
+});
+
+test('toKeyring wraps a bare secret as the default key', () => {
+  assert.equal(toKeyring('secret').current.id, 'default');
+  const keyring = createKeyring({ keys: [{ id: 'k', secret: 's' }] });
+  assert.equal(toKeyring(keyring), keyring);
+  assert.throws(() => toKeyring(''), /No signing key/);
+});
+
+test('keyringFromEnv reads the active key, its ID and retired keys', () => {
+  const keyring = keyringFromEnv('HMAC_KEY', {
+    HMAC_KEY: 'current',
+    HMAC_KEY_ID: '2026-10',
+    HMAC_KEY_RETIRED: '2026-01:old:with:colons, 2025-07:older',
+  });
+  assert.equal(keyring.current.id, '2026-10');
+  assert.equal(keyring.get('2026-01').secret, 'old:with:colons');
+  assert.equal(keyring.get('2025-07').retired, true);
+
+  assert.equal(keyringFromEnv('HMAC_KEY', {}), null);
+  assert.equal(keyringFromEnv('HMAC_KEY', {}, 'fallback').current.secret, 'fallback');
+  assert.throws(() => keyringFromEnv('HMAC_KEY', { HMAC_KEY: 'k', HMAC_KEY_RETIRED: 'nosecret' }), /id:secret/);
+});
+
+test('checkSigningKey rejects missing, placeholder and short keys', () => {
+  assert.equal(checkSigningKey(''), 'no key is set');
+  assert.equal(checkSigningKey(' ChangeMe '), 'the key is a placeholder value');
+  assert.match(checkSigningKey('short'), /shorter than 32/);
+  assert.equal(checkSigningKey('x'.repeat(32)), null);
+});
+
+test('isTestMode accepts true and 1 only', () => {
+  assert.equal(isTestMode({ TEST_MODE: 'TRUE' }), true);
+  assert.equal(isTestMode({ TEST_MODE: '1' }), true);
+  assert.equal(isTestMode({ TEST_MODE: 'yes' }), false);
+  assert.equal(isTestMode({}), false);
+});
+
+test('signature envelopes round-trip through parseSignature', () => {
+  const digest = 'ab'.repeat(32);
+  const signature = formatSignature({ keyId: 'k1', digest });
+  assert.equal(signature, `v2:hmac-sha256:k1:${digest}`);
+  assert.deepEqual(parseSignature(signature), { version: 'v2', algorithm: 'hmac-sha256', keyId: 'k1', digest, legacy: false });
+});
+
+test('parseSignature accepts bare legacy digests and rejects malformed envelopes', () => {
+  assert.equal(parseSignature('ab'.repeat(32)).legacy, true);
+  assert.equal(parseSignature('v3:hmac-sha256:k1:abcd'), null);
+  assert.equal(parseSignature('v2:hmac-sha256:k1'), null);
+  assert.equal(parseSignature('v2:hmac-sha256:k 1:abcd'), null);
+  assert.equal(parseSignature('v2:hmac-sha256:k1:xyz'), null);
+  assert.equal(parseSignature(null), null);
+});
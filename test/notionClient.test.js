@@ -0,0 +1,123 @@
+// test/notionClient.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APIResponseError, RequestTimeoutError } from '@notionhq/client';
+import { createNotionAccess } from '../lib/notionClient.js';
+
+const FAST_RETRY = { baseDelayMs: 1, maxDelayMs: 5, jitter: 0 };
+
+function apiError(status, headers = {}) {
+  return new APIResponseError({
+    code: status === 429 ? 'rate_limited' : 'internal_server_error',
+    status,
+    message: `status ${status}`,
+    headers: new Map(Object.entries(headers)),
+    rawBodyText: '',
+  });
+}
+
+/** An SDK call that fails with each of `failures` in turn, then succeeds */
+function flaky(failures, result = { ok: true }) {
+  const calls = [];
+  const fn = async args => {
+    calls.push(args);
+    if (calls.length <= failures.length) throw failures[calls.length - 1];
+    return result;
+  };
+  return { fn, calls };
+}
+
+function access(client, options = {}) {
+  return createNotionAccess({ client, requestsPerSecond: 1000, retry: FAST_RETRY, ...options });
+}
+
+test('reads are retried on 5xx, 429 and timeouts', async () => {
+  const { fn, calls } = flaky([apiError(503), apiError(429), new RequestTimeoutError()]);
+  const notion = access({ databases: { query: fn } });
+  assert.deepEqual(await notion.databases.query({ database_id: 'db' }), { ok: true });
+  assert.equal(calls.length, 4);
+});
+
+test('client errors are not retried', async () => {
+  const { fn, calls } = flaky([apiError(404)]);
+  const notion = access({ pages: { retrieve: fn } });
+  await assert.rejects(notion.pages.retrieve({ page_id: 'p' }), { status: 404 });
+  assert.equal(calls.length, 1);
+});
+
+test('gives up after maxAttempts', async () => {
+  const { fn, calls } = flaky([apiError(500), apiError(500), apiError(500)]);
+  const notion = access({ pages: { update: fn } }, { retry: { ...FAST_RETRY, maxAttempts: 2 } });
+  await assert.rejects(notion.pages.update({ page_id: 'p' }), { status: 500 });
+  assert.equal(calls.length, 2);
+});
+
+test('a rate-limited create is sent again', async () => {
+  const { fn, calls } = flaky([apiError(429, { 'retry-after': '0' })], { id: 'new' });
+  const notion = access({ pages: { create: fn } });
+  assert.deepEqual(await notion.pages.create({ parent: {} }), { id: 'new' });
+  assert.equal(calls.length, 2);
+});
+
+test('a create that may have succeeded is not sent again without findExisting', async () => {
+  const { fn, calls } = flaky([apiError(502)], { id: 'new' });
+  const notion = access({ pages: { create: fn } });
+  await assert.rejects(notion.pages.create({ parent: {} }), { status: 502 });
+  assert.equal(calls.length, 1);
+});
+
+test('after an ambiguous create failure, findExisting decides whether to send it again', async () => {
+  const found = flaky([apiError(504)], { id: 'new' });
+  const foundNotion = access({ pages: { create: found.fn } });
+  assert.deepEqual(await foundNotion.pages.create({}, { findExisting: async () => ({ id: 'existing' }) }), { id: 'existing' });
+  assert.equal(found.calls.length, 1);
+
+  const missing = flaky([new RequestTimeoutError()], { id: 'new' });
+  const missingNotion = access({ pages: { create: missing.fn } });
+  assert.deepEqual(await missingNotion.pages.create({}, { findExisting: async () => null }), { id: 'new' });
+  assert.equal(missing.calls.length, 2);
+});
+
+test('a create whose connection was refused is sent again', async () => {
+  const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+  const { fn, calls } = flaky([refused], { id: 'new' });
+  const notion = access({ pages: { create: fn } });
+  assert.deepEqual(await notion.pages.create({}), { id: 'new' });
+  assert.equal(calls.length, 2);
+});
+
+test('onRequest sees every attempt', async () => {
+  const seen = [];
+  const { fn } = flaky([apiError(500)]);
+  const notion = access({ users: { retrieve: fn } }, { onRequest: event => seen.push([event.method, event.error?.status ?? null]) });
+  await notion.users.retrieve({ user_id: 'u' });
+  assert.deepEqual(seen, [['users.retrieve', 500], ['users.retrieve', null]]);
+});
+
+test('requests are spaced to the configured rate', async () => {
+  const { fn } = flaky([]);
+  const notion = createNotionAccess({ client: { pages: { retrieve: fn } }, requestsPerSecond: 50 });
+  const started = Date.now();
+  await Promise.all(Array.from({ length: 5 }, () => notion.pages.retrieve({ page_id: 'p' })));
+  assert.ok(Date.now() - started >= 70, `took ${Date.now() - started}ms`);
+});
+
+test('queryAll and listAllBlockChildren follow next_cursor', async () => {
+  const pageOf = (items, cursor) => ({ results: items, has_more: Boolean(cursor), next_cursor: cursor || null });
+  const queries = [];
+  const client = {
+    databases: {
+      query: async args => {
+        queries.push(args.start_cursor);
+        return args.start_cursor ? pageOf([3], null) : pageOf([1, 2], 'c2');
+      },
+    },
+    blocks: {
+      children: { list: async args => (args.start_cursor ? pageOf(['b'], null) : pageOf(['a'], 'next')) },
+    },
+  };
+  const notion = access(client);
+  assert.deepEqual(await notion.queryAll({ database_id: 'db' }), [1, 2, 3]);
+  assert.deepEqual(queries, [undefined, 'c2']);
+  assert.deepEqual(await notion.listAllBlockChildren('page'), ['a', 'b']);
+});
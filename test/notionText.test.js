@@ -0,0 +1,71 @@
+// test/notionText.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RICH_TEXT_SEGMENT_LIMIT,
+  RICH_TEXT_MAX_SEGMENTS,
+  richTextToPlain,
+  toRichText,
+  fitsRichText,
+  findJsonCodeBlock,
+  propertyToPlain,
+} from '../lib/notionText.js';
+
+test('long text is split into segments that join back to the original', () => {
+  const text = 'x'.repeat(RICH_TEXT_SEGMENT_LIMIT * 2 + 10);
+  const richText = toRichText(text);
+  assert.deepEqual(richText.map(segment => segment.text.content.length), [2000, 2000, 10]);
+  assert.equal(richTextToPlain(richText), text);
+});
+
+test('a surrogate pair is never split across segments', () => {
+  const text = 'a'.repeat(RICH_TEXT_SEGMENT_LIMIT - 1) + '😀' + 'b';
+  const richText = toRichText(text);
+  assert.equal(richText[0].text.content.length, RICH_TEXT_SEGMENT_LIMIT - 1);
+  assert.equal(richTextToPlain(richText), text);
+});
+
+test('text beyond the segment cap is truncated and marked', () => {
+  const capacity = RICH_TEXT_SEGMENT_LIMIT * RICH_TEXT_MAX_SEGMENTS;
+  assert.equal(fitsRichText('y'.repeat(capacity)), true);
+  assert.equal(fitsRichText('y'.repeat(capacity + 1)), false);
+
+  const richText = toRichText('y'.repeat(capacity + 1));
+  assert.equal(richText.length, RICH_TEXT_MAX_SEGMENTS);
+  assert.ok(richTextToPlain(richText).endsWith('… [truncated]'));
+  assert.ok(richText.every(segment => segment.text.content.length <= RICH_TEXT_SEGMENT_LIMIT));
+});
+
+test('richTextToPlain prefers plain_text and falls back to text content', () => {
+  assert.equal(richTextToPlain([{ plain_text: 'a' }, { text: { content: 'b' } }, {}]), 'ab');
+  assert.equal(richTextToPlain(), '');
+});
+
+test('findJsonCodeBlock returns the first JSON code block', () => {
+  const blocks = [
+    { type: 'paragraph', paragraph: {} },
+    { type: 'code', code: { language: 'javascript', rich_text: [{ plain_text: 'no' }] } },
+    { type: 'code', code: { language: 'json', rich_text: [{ plain_text: '{"a":' }, { plain_text: '1}' }] } },
+  ];
+  assert.equal(findJsonCodeBlock(blocks), '{"a":1}');
+  assert.equal(findJsonCodeBlock([]), null);
+});
+
+test('propertyToPlain flattens property values', () => {
+  assert.equal(propertyToPlain({ type: 'rich_text', rich_text: [{ plain_text: 'hi' }] }), 'hi');
+  assert.equal(propertyToPlain({ type: 'title', title: [] }), null);
+  assert.equal(propertyToPlain({ type: 'select', select: { name: 'Gold' } }), 'Gold');
+  assert.equal(propertyToPlain({ type: 'select', select: null }), null);
+  assert.deepEqual(propertyToPlain({ type: 'multi_select', multi_select: [{ name: 'a' }, { name: 'b' }] }), ['a', 'b']);
+  assert.deepEqual(propertyToPlain({ type: 'people', people: [{ id: 'u1', name: 'Ada' }, { id: 'u2' }] }), ['Ada', 'u2']);
+  assert.deepEqual(propertyToPlain({ type: 'relation', relation: [{ id: 'p1' }] }), ['p1']);
+  assert.equal(propertyToPlain({ type: 'date', date: { start: '2026-01-01' } }), '2026-01-01');
+  assert.equal(propertyToPlain({ type: 'formula', formula: { type: 'number', number: 3 } }), 3);
+  assert.deepEqual(
+    propertyToPlain({ type: 'rollup', rollup: { type: 'array', array: [{ type: 'number', number: 1 }] } }),
+    [1]
+  );
+  assert.equal(propertyToPlain({ type: 'checkbox', checkbox: false }), false);
+  assert.equal(propertyToPlain({ type: 'files', files: [] }), null);
+  assert.equal(propertyToPlain(undefined), null);
+});
@@ -0,0 +1,84 @@
+// test/payloadSchemas.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePayload, createSchemaRegistry, loadSchemaRegistry } from '../lib/payloadSchemas.js';
+
+const screeningSchema = {
+  type: 'object',
+  required: ['applicant'],
+  additionalProperties: false,
+  properties: {
+    applicant: {
+      type: 'object',
+      required: ['email'],
+      properties: { email: { type: 'string', format: 'email' }, tier: { enum: ['gold', 'silver'] } },
+    },
+    priority: { type: 'integer' },
+  },
+};
+
+test('parsePayload accepts JSON objects only', () => {
+  assert.deepEqual(parsePayload('{"a":1}'), { ok: true, value: { a: 1 } });
+  assert.match(parsePayload('{a:1}').error, /^Payload is not valid JSON/);
+  assert.equal(parsePayload('[1]').error, 'Payload must be a JSON object');
+  assert.equal(parsePayload('null').error, 'Payload must be a JSON object');
+  assert.equal(parsePayload('"text"').error, 'Payload must be a JSON object');
+});
+
+test('valid payloads and commands without a schema pass', () => {
+  const registry = createSchemaRegistry({ 'Run Screening': screeningSchema });
+  assert.deepEqual(registry.commands, ['Run Screening']);
+  assert.deepEqual(registry.validate('Run Screening', { applicant: { email: 'a@example.com' } }), []);
+  assert.deepEqual(registry.validate('Anything Else', { whatever: true }), []);
+});
+
+test('field errors name the field and the problem', () => {
+  const registry = createSchemaRegistry({ 'Run Screening': screeningSchema });
+  assert.deepEqual(registry.validate('Run Screening', {}), ['applicant: is required']);
+  assert.deepEqual(
+    registry.validate('Run Screening', { applicant: { email: 'nope', tier: 'bronze' }, priority: 1.5, extra: 1 }).sort(),
+    [
+      'applicant.email: must match format "email"',
+      'applicant.tier: must be one of "gold", "silver"',
+      'extra: is not allowed',
+      'priority: must be integer',
+    ]
+  );
+  assert.deepEqual(registry.validate('Run Screening', { applicant: {} }), ['applicant.email: is required']);
+});
+
+test('an invalid schema is rejected with its command name', () => {
+  assert.throws(() => createSchemaRegistry({ Broken: { type: 'nonsense' } }), /Invalid schema for command 'Broken'/);
+});
+
+test('loadSchemaRegistry takes inline schemas and paths relative to the registry', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'schemas-test-'));
+  try {
+    await fs.writeFile(path.join(dir, 'screening.json'), JSON.stringify(screeningSchema));
+    const registryPath = path.join(dir, 'registry.json');
+    await fs.writeFile(registryPath, JSON.stringify({
+      'Run Screening': './screening.json',
+      Ping: { type: 'object', maxProperties: 0 },
+    }));
+
+    const registry = await loadSchemaRegistry(registryPath);
+    assert.deepEqual(registry.validate('Run Screening', {}), ['applicant: is required']);
+    assert.deepEqual(registry.validate('Ping', { a: 1 }), ['(payload): must NOT have more than 0 properties']);
+
+    await fs.writeFile(registryPath, JSON.stringify({ Missing: './missing.json' }));
+    await assert.rejects(loadSchemaRegistry(registryPath), /Failed to load schema for command 'Missing'/);
+    await assert.rejects(loadSchemaRegistry(path.join(dir, 'none.json')), /Failed to load schema registry/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('the bundled schema registry loads', async () => {
+  const registryPath = fileURLToPath(new URL('../schemas/registry.json', import.meta.url));
+  const registry = await loadSchemaRegistry(registryPath);
+  assert.ok(registry.commands.length > 0);
+});
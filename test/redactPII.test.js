@@ -0,0 +1,118 @@
+// test/redactPII.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  DEFAULT_FIELD_RULES,
+  NON_PERSONAL_NAME_FIELDS,
+  createRedactor,
+  redactPII,
+  createAuditSummary,
+  hashValue,
+} from '../lib/redactPII.js';
+
+const sha256 = text => `hash:${crypto.createHash('sha256').update(text).digest('hex')}`;
+
+test('PII fields are hashed by name, however deeply nested', () => {
+  const redacted = redactPII({ applicant: { email: 'a@example.com', contacts: [{ phone: '+44 20 7946 0958' }] } });
+  assert.equal(redacted.applicant.email, sha256('a@example.com'));
+  assert.equal(redacted.applicant.contacts[0].phone, sha256('+44 20 7946 0958'));
+});
+
+test('ssn, tin and dob match as words anywhere in the key', () => {
+  const redacted = redactPII({
+    ssn: '1', customer_ssn: '2', ssn_last4: '3', applicant_tin: '4',
+    dob: '5', applicant_dob: '6', dob_verified: true,
+  });
+  for (const [key, value] of Object.entries(redacted)) {
+    assert.match(String(value), /^hash:/, key);
+  }
+});
+
+test('words that merely contain ssn, tin or dob are kept', () => {
+  const input = { tinker: 'x', destination: 'y', dobby: 'z', lessnote: 'w' };
+  assert.deepEqual(redactPII(input), input);
+});
+
+test('any *_name field is a person name, except the non-personal ones', () => {
+  const redacted = redactPII({
+    name: 'Ada Lovelace', owner_name: 'Ada', applicant_name: 'Ada', maiden_name: 'Byron', surname: 'Lovelace',
+    command_name: 'Run Screening', route_name: 'screening', company_name: 'Acme', username: 'ada',
+  });
+  for (const key of ['name', 'owner_name', 'applicant_name', 'maiden_name', 'surname']) {
+    assert.match(redacted[key], /^hash:/, key);
+  }
+  assert.equal(redacted.command_name, 'Run Screening');
+  assert.equal(redacted.route_name, 'screening');
+  assert.equal(redacted.company_name, 'Acme');
+  assert.equal(redacted.username, 'ada');
+  assert.ok(NON_PERSONAL_NAME_FIELDS.includes('command_name'));
+});
+
+test('a matched field is redacted whole, nested values included', () => {
+  const redacted = redactPII({ address: { street: '1 Main St', city: 'Springfield', lines: ['a', null] } });
+  assert.equal(redacted.address.street, sha256('1 Main St'));
+  assert.equal(redacted.address.city, sha256('Springfield'));
+  assert.deepEqual(redacted.address.lines, [sha256('a'), null]);
+});
+
+test('bank accounts are masked and raw documents removed', () => {
+  const redacted = redactPII({ account_number: '12345678', card_number: '123', raw_document: 'blob', keep: 1 });
+  assert.equal(redacted.account_number, '****5678');
+  assert.equal(redacted.card_number, '***');
+  assert.equal('raw_document' in redacted, false);
+  assert.equal(redacted.keep, 1);
+});
+
+test('empty values under PII fields are left as they are', () => {
+  assert.deepEqual(redactPII({ email: '', phone: null }), { email: '', phone: null });
+});
+
+test('detectors redact PII inside free text and skip look-alikes', () => {
+  const { value, report } = createRedactor().redact({
+    note: 'Mail ada@example.com or call +44 20 7946 0958; IBAN GB82 WEST 1234 5698 7654 32',
+    ids: 'run 2026-01-01T10:00:00Z, order-AB1234567, ref GB00WEST12345698765432',
+  });
+  assert.equal(value.note, `Mail ${sha256('ada@example.com')} or call ${sha256('+44 20 7946 0958')}; IBAN ${'*'.repeat(23)}4 32`);
+  assert.equal(value.ids, 'run 2026-01-01T10:00:00Z, order-AB1234567, ref GB00WEST12345698765432');
+  assert.deepEqual(report.map(r => [r.path, r.rule, r.in]), [['note', 'email', 'value'], ['note', 'iban', 'value'], ['note', 'phone', 'value']]);
+});
+
+test('a key turns hashes into HMACs', () => {
+  const redacted = createRedactor({ key: 'k' }).redact({ email: 'a@example.com' }).value;
+  assert.equal(redacted.email, hashValue('a@example.com', 'k'));
+  assert.match(redacted.email, /^hmac:[0-9a-f]{64}$/);
+});
+
+test('the report lists every field redaction', () => {
+  const { report } = createRedactor().redact({ person: { first_name: 'Ada' }, raw_document: 'x' });
+  assert.deepEqual(report, [
+    { path: 'person.first_name', rule: 'person_name', action: 'hash', in: 'field' },
+    { path: 'raw_document', rule: 'raw_document', action: 'remove', in: 'field' },
+  ]);
+});
+
+test('redaction never modifies its input', () => {
+  const input = { email: 'a@example.com' };
+  redactPII(input);
+  assert.deepEqual(input, { email: 'a@example.com' });
+});
+
+test('custom rules replace the defaults; a field list hashes exactly those names', () => {
+  const redactor = createRedactor({ fields: [{ name: 'secret', match: 'Secret_Code', action: 'remove' }], detectors: [] });
+  assert.deepEqual(redactor.redact({ secret_code: 1, email: 'a@example.com' }).value, { email: 'a@example.com' });
+
+  const redacted = redactPII({ token: 't', email: 'a@example.com', raw_document: 'x' }, ['token']);
+  assert.deepEqual(redacted, { token: sha256('t'), email: 'a@example.com' });
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => createRedactor({ fields: [{ name: 'x', match: 'x', action: 'burn' }] }), /action must be one of/);
+  assert.throws(() => createRedactor({ detectors: [{ name: 'd', pattern: /x/, action: 'hash' }] }), /global RegExp/);
+  assert.ok(DEFAULT_FIELD_RULES.every(rule => ['hash', 'mask', 'remove'].includes(rule.action)));
+});
+
+test('createAuditSummary redacts and truncates', () => {
+  assert.equal(createAuditSummary({ a: 'x'.repeat(100) }, 20), '{"a":"xxxxxxxxxxx...');
+  assert.ok(!createAuditSummary({ email: 'a@example.com' }).includes('example.com'));
+});
@@ -0,0 +1,79 @@
+// test/retryPolicy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  computeBackoffDelay,
+  isRetryableFailure,
+  getRetryDelay,
+  sleep,
+} from '../lib/retryPolicy.js';
+
+const noJitter = resolveRetryPolicy({ jitter: 0, baseDelayMs: 100, maxDelayMs: 1000 });
+
+test('later policy layers win, and undefined values are ignored', () => {
+  const policy = resolveRetryPolicy({ maxAttempts: 5, baseDelayMs: 10 }, { maxAttempts: undefined, baseDelayMs: 20 });
+  assert.equal(policy.maxAttempts, 5);
+  assert.equal(policy.baseDelayMs, 20);
+  assert.equal(policy.multiplier, DEFAULT_RETRY_POLICY.multiplier);
+});
+
+test('transient HTTP statuses and network errors are retryable', () => {
+  const policy = resolveRetryPolicy();
+  for (const status of [408, 425, 429, 500, 502, 503, 504]) {
+    assert.equal(isRetryableFailure(policy, { status }), true, `status ${status}`);
+  }
+  for (const status of [400, 401, 404, 409, 422]) {
+    assert.equal(isRetryableFailure(policy, { status }), false, `status ${status}`);
+  }
+  assert.equal(isRetryableFailure(policy, { network: true }), true);
+  assert.equal(isRetryableFailure(resolveRetryPolicy({ retryNetworkErrors: false }), { network: true }), false);
+  assert.equal(isRetryableFailure(resolveRetryPolicy({ retryOnStatus: [503] }), { status: 500 }), false);
+  assert.equal(isRetryableFailure(policy, {}), false);
+});
+
+test('backoff grows exponentially and is capped at maxDelayMs', () => {
+  assert.deepEqual([1, 2, 3, 4, 5].map(attempt => computeBackoffDelay(noJitter, attempt)), [100, 200, 400, 800, 1000]);
+});
+
+test('jitter stays within its spread', () => {
+  const policy = resolveRetryPolicy({ baseDelayMs: 1000, jitter: 0.2 });
+  for (let i = 0; i < 200; i++) {
+    const delay = computeBackoffDelay(policy, 1);
+    assert.ok(delay >= 800 && delay <= 1200, `delay ${delay}`);
+  }
+});
+
+test('Retry-After is honored up to maxDelayMs, unless the policy ignores it', () => {
+  assert.equal(getRetryDelay(noJitter, 1, { retryAfterMs: 700 }), 700);
+  assert.equal(getRetryDelay(noJitter, 1, { retryAfterMs: 60000 }), 1000);
+  assert.equal(getRetryDelay(noJitter, 3, {}), 400);
+  assert.equal(getRetryDelay(resolveRetryPolicy(noJitter, { respectRetryAfter: false }), 1, { retryAfterMs: 700 }), 100);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('2', now), 2000);
+  assert.equal(parseRetryAfter('0.5', now), 500);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+  assert.equal(parseRetryAfter('', now), null);
+});
+
+test('sleep resolves after the delay, or early when aborted', async () => {
+  const started = Date.now();
+  await sleep(20);
+  assert.ok(Date.now() - started >= 15);
+
+  const controller = new AbortController();
+  const woken = sleep(10000, controller.signal);
+  controller.abort();
+  await woken;
+
+  const aborted = AbortSignal.abort();
+  await sleep(10000, aborted);
+});
@@ -0,0 +1,36 @@
+// test/signAudit.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { computePromptHash, verifyPromptHash } from '../lib/signAudit.js';
+
+const sha256 = text => crypto.createHash('sha256').update(text, 'utf8').digest('hex');
+
+test('prompt hashes are prefixed and ignore Unicode composition and key order', () => {
+  assert.equal(computePromptHash('Screen café'), `c1:${sha256('Screen café')}`);
+  assert.equal(
+    computePromptHash({ role: 'user', content: 'hi' }),
+    computePromptHash({ content: 'hi', role: 'user' }),
+  );
+});
+
+test('verifyPromptHash accepts a prefixed hash of the same prompt', () => {
+  const prompt = 'Screen applicant T-1';
+  assert.equal(verifyPromptHash(prompt, computePromptHash(prompt)), true);
+  assert.equal(verifyPromptHash('café', computePromptHash('café')), true);
+  assert.equal(verifyPromptHash(prompt, computePromptHash('Screen applicant T-2')), false);
+});
+
+test('verifyPromptHash accepts a legacy unprefixed hash of the exact prompt text', () => {
+  const prompt = 'Screen applicant T-1';
+  assert.equal(verifyPromptHash(prompt, sha256(prompt)), true);
+  assert.equal(verifyPromptHash(prompt, sha256('Screen applicant T-2')), false);
+  // Legacy hashes were never taken of structured prompts
+  assert.equal(verifyPromptHash({ prompt }, sha256(JSON.stringify({ prompt }))), false);
+});
+
+test('verifyPromptHash refuses unknown prefixes and non-string hashes', () => {
+  const prompt = 'Screen applicant T-1';
+  assert.equal(verifyPromptHash(prompt, `c9:${sha256(prompt)}`), false);
+  assert.equal(verifyPromptHash(prompt, undefined), false);
+});
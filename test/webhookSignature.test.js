@@ -0,0 +1,72 @@
+// test/webhookSignature.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SIGNATURE_HEADERS,
+  canonicalizeBody,
+  signWebhookRequest,
+  verifyWebhookRequest,
+  createNonceStore,
+} from '../lib/webhookSignature.js';
+import { computeHmac } from '../lib/signAudit.js';
+
+const KEY = 'webhook-test-key';
+
+test('a signed request verifies, from the raw or the parsed body', () => {
+  const { body, headers } = signWebhookRequest({ b: 1, a: 'x' }, KEY);
+  assert.equal(body, '{"a":"x","b":1}');
+  assert.deepEqual(verifyWebhookRequest(headers, body, KEY), { valid: true });
+  assert.deepEqual(verifyWebhookRequest(headers, { a: 'x', b: 1 }, KEY), { valid: true });
+});
+
+test('header names are matched in any case', () => {
+  const { body, headers } = signWebhookRequest({ a: 1 }, KEY);
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  assert.equal(verifyWebhookRequest(lower, body, KEY).valid, true);
+});
+
+test('rejects a changed body, another key and missing headers', () => {
+  const { body, headers } = signWebhookRequest({ a: 1 }, KEY);
+  assert.equal(verifyWebhookRequest(headers, '{"a":2}', KEY).reason, 'signature mismatch');
+  assert.equal(verifyWebhookRequest(headers, body, 'other-key').reason, 'signature mismatch');
+  const { [SIGNATURE_HEADERS.nonce]: _nonce, ...withoutNonce } = headers;
+  assert.equal(verifyWebhookRequest(withoutNonce, body, KEY).reason, 'missing signature headers');
+});
+
+test('rejects unknown signature versions', () => {
+  const { body, headers } = signWebhookRequest({ a: 1 }, KEY);
+  const v2 = { ...headers, [SIGNATURE_HEADERS.signature]: headers[SIGNATURE_HEADERS.signature].replace(/^v1=/, 'v2=') };
+  assert.equal(verifyWebhookRequest(v2, body, KEY).reason, 'unsupported signature version');
+});
+
+test('rejects timestamps outside the tolerance', () => {
+  const timestamp = String(Math.floor(Date.now() / 1000) - 600);
+  const nonce = 'n-1';
+  const body = '{}';
+  const headers = {
+    [SIGNATURE_HEADERS.timestamp]: timestamp,
+    [SIGNATURE_HEADERS.nonce]: nonce,
+    [SIGNATURE_HEADERS.signature]: `v1=${computeHmac(`v1.${timestamp}.${nonce}.${body}`, KEY)}`,
+  };
+  assert.equal(verifyWebhookRequest(headers, body, KEY).reason, 'timestamp outside tolerance');
+  assert.equal(verifyWebhookRequest(headers, body, KEY, { toleranceSec: 900 }).valid, true);
+});
+
+test('a nonce store rejects replays', () => {
+  const nonceStore = createNonceStore();
+  const { body, headers } = signWebhookRequest({ a: 1 }, KEY);
+  assert.equal(verifyWebhookRequest(headers, body, KEY, { nonceStore }).valid, true);
+  assert.equal(verifyWebhookRequest(headers, body, KEY, { nonceStore }).reason, 'nonce already used');
+});
+
+test('a nonce can be claimed again once its TTL has passed', async () => {
+  const nonceStore = createNonceStore();
+  assert.equal(nonceStore.claim('n', 5), true);
+  assert.equal(nonceStore.claim('n', 5), false);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  assert.equal(nonceStore.claim('n', 5), true);
+});
+
+test('canonicalizeBody sorts keys and drops undefined members', () => {
+  assert.equal(canonicalizeBody({ b: [1, { d: 1, c: undefined }], a: null }), '{"a":null,"b":[1,{"d":1}]}');
+});
@@ -0,0 +1,109 @@
+// test/workerPool.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorkerPool } from '../lib/workerPool.js';
+
+/** A task that finishes when `finish()` is called, recording start and end */
+function gate(log, name) {
+  let finish;
+  const done = new Promise(resolve => { finish = resolve; });
+  return {
+    task: async () => {
+      log.push(`start ${name}`);
+      await done;
+      log.push(`end ${name}`);
+      return name;
+    },
+    finish: () => finish(),
+  };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` tasks at once', async () => {
+  const pool = createWorkerPool({ concurrency: 2, maxQueued: 5 });
+  const log = [];
+  const gates = ['a', 'b', 'c'].map(name => gate(log, name));
+  const results = gates.map((g, i) => pool.run(`k${i}`, g.task));
+  await tick();
+
+  assert.deepEqual(log, ['start a', 'start b']);
+  assert.equal(pool.active, 2);
+  assert.equal(pool.queued, 1);
+
+  gates[0].finish();
+  await tick();
+  assert.deepEqual(log.slice(2), ['end a', 'start c']);
+
+  gates[1].finish();
+  gates[2].finish();
+  assert.deepEqual(await Promise.all(results), ['a', 'b', 'c']);
+  assert.equal(pool.active, 0);
+});
+
+test('tasks sharing a key run one at a time in submission order', async () => {
+  const pool = createWorkerPool({ concurrency: 4, maxQueued: 4 });
+  const log = [];
+  const first = gate(log, 'e1-first');
+  const second = gate(log, 'e1-second');
+  const other = gate(log, 'e2');
+
+  const results = [pool.run('e1', first.task), pool.run('e1', second.task), pool.run('e2', other.task)];
+  await tick();
+  // e2 overtakes the second e1 task, which waits for the first
+  assert.deepEqual(log, ['start e1-first', 'start e2']);
+
+  second.finish();
+  other.finish();
+  await tick();
+  assert.ok(!log.includes('start e1-second'));
+
+  first.finish();
+  await Promise.all(results);
+  assert.ok(log.indexOf('end e1-first') < log.indexOf('start e1-second'));
+});
+
+test('tasks with no key are not ordered against each other', async () => {
+  const pool = createWorkerPool({ concurrency: 2 });
+  const log = [];
+  const a = gate(log, 'a');
+  const b = gate(log, 'b');
+  const results = [pool.run(null, a.task), pool.run(undefined, b.task)];
+  await tick();
+  assert.deepEqual(log, ['start a', 'start b']);
+  a.finish();
+  b.finish();
+  await Promise.all(results);
+});
+
+test('capacity counts free workers and queue slots, for backpressure', async () => {
+  const pool = createWorkerPool({ concurrency: 2, maxQueued: 1 });
+  assert.equal(pool.capacity, 3);
+
+  const log = [];
+  const gates = ['a', 'b', 'c', 'd'].map(name => gate(log, name));
+  const results = gates.map(g => pool.run(null, g.task));
+  await tick();
+  assert.equal(pool.capacity, 0);
+  assert.equal(pool.queued, 2);
+
+  gates.forEach(g => g.finish());
+  await Promise.all(results);
+  assert.equal(pool.capacity, 3);
+});
+
+test('a failing task rejects its own promise and frees its worker and key', async () => {
+  const pool = createWorkerPool({ concurrency: 1 });
+  const failed = pool.run('k', async () => { throw new Error('boom'); });
+  const next = pool.run('k', async () => 'ok');
+  await assert.rejects(failed, /boom/);
+  assert.equal(await next, 'ok');
+
+  await assert.rejects(pool.run('k', () => { throw new Error('sync boom'); }), /sync boom/);
+  assert.equal(pool.active, 0);
+});
+
+test('concurrency must be a positive integer', () => {
+  assert.throws(() => createWorkerPool({ concurrency: 0 }), /positive integer/);
+  assert.throws(() => createWorkerPool({ concurrency: 1.5 }), /positive integer/);
+});